@@ -0,0 +1,132 @@
+/**
+ * Audio
+ * Collects the sound the emulated APU generated in the recorded frames into
+ * a WAV file and a waveform of each frame, so glitches can be matched to
+ * the frames they play in
+ */
+
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 2;
+
+// Columns of min / max levels in the waveform of a frame
+const WAVEFORM_COLUMNS = 40;
+
+/**
+ * Join the samples of several frames
+ * @param {Array<Int16Array>} chunks - Interleaved stereo samples
+ * @returns {Int16Array}
+ */
+function concatSamples(chunks) {
+  const samples = new Int16Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0),
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    samples.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return samples;
+}
+
+/**
+ * Create a 16-bit stereo PCM WAV file
+ * @param {Int16Array} samples - Interleaved stereo samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {Uint8Array} WAV file data
+ */
+function createWav(samples, sampleRate) {
+  const dataSize = samples.length * BYTES_PER_SAMPLE;
+  const data = new Uint8Array(44 + dataSize);
+  const view = new DataView(data.buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, CHANNELS, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * CHANNELS * BYTES_PER_SAMPLE, true);
+  view.setUint16(32, CHANNELS * BYTES_PER_SAMPLE, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * BYTES_PER_SAMPLE, samples[i], true);
+  }
+
+  return data;
+}
+
+/**
+ * Get the waveform of some samples, the lowest and highest level of the
+ * left and right mix in each column, from -1 to 1
+ * @param {Int16Array} samples - Interleaved stereo samples
+ * @param {number} [columns=WAVEFORM_COLUMNS] - Number of columns
+ * @returns {{min: number[], max: number[]}}
+ */
+function getWaveform(samples, columns = WAVEFORM_COLUMNS) {
+  const min = new Array(columns).fill(0);
+  const max = new Array(columns).fill(0);
+  const length = samples.length / CHANNELS;
+
+  for (let column = 0; column < columns; column++) {
+    const start = Math.floor((column * length) / columns);
+    const end = Math.floor(((column + 1) * length) / columns);
+    let low = Infinity;
+    let high = -Infinity;
+    for (let i = start; i < end; i++) {
+      const level = (samples[i * 2] + samples[i * 2 + 1]) / 2 / 32768;
+      low = Math.min(low, level);
+      high = Math.max(high, level);
+    }
+    if (end > start) {
+      min[column] = Math.round(low * 100) / 100;
+      max[column] = Math.round(high * 100) / 100;
+    }
+  }
+
+  return { min, max };
+}
+
+/**
+ * Analyse the sound of the recorded frames
+ * Offsets and lengths count stereo samples from the start of the recording,
+ * matching the WAV file created from the same frames
+ * @param {Array<{frameNumber: number, samples: Int16Array}>} frames - Samples generated in each recorded frame, recorded by the runner
+ * @param {number} sampleRate - Samples per second
+ * @returns {{sampleRate: number, frames: Array<{frameNumber: number, offset: number, length: number, peak: number, min: number[], max: number[]}>}} Waveform of each frame, peak is the highest absolute level
+ */
+function analyzeAudio(frames, sampleRate) {
+  let offset = 0;
+  return {
+    sampleRate,
+    frames: frames.map(({ frameNumber, samples }) => {
+      const waveform = getWaveform(samples);
+      const length = samples.length / CHANNELS;
+      const entry = {
+        frameNumber,
+        offset,
+        length,
+        peak: Math.max(...waveform.max, ...waveform.min.map(Math.abs)),
+        ...waveform,
+      };
+      offset += length;
+      return entry;
+    }),
+  };
+}
+
+module.exports = {
+  WAVEFORM_COLUMNS,
+  concatSamples,
+  createWav,
+  getWaveform,
+  analyzeAudio,
+};
@@ -4,12 +4,32 @@
  */
 
 const GameboyJS = require("../gameboy");
-const {
-  INTERRUPTS,
-  parseNoi,
-  generateFunctionRegions,
-} = require("./noi-parser");
+const { INTERRUPTS, generateFunctionRegions } = require("./noi-parser");
+const { loadSymbols } = require("./symbol-loader");
+const { parseCdb, generateLineRegions } = require("./cdb-parser");
 const { parseInput } = require("./input-parsers");
+const { parseTrigger, testRamTrigger, formatTrigger } = require("./triggers");
+const { analyzePacing } = require("./pacing");
+const { parseRtcTime } = require("./rtc");
+const {
+  analyzeDisabledWindows,
+  summarizeInterruptLatency,
+  analyzeInterruptLatency,
+} = require("./interrupt-timing");
+const { analyzeSerialOutput } = require("./serial");
+const {
+  parseDebugMessage,
+  getProfileSymbol,
+  analyzeDebugMarkers,
+} = require("./debug-messages");
+const { concatSamples, createWav, analyzeAudio } = require("./audio");
+const {
+  SPIN_SYMBOL,
+  MAX_SPIN_LOOP_BYTES,
+  BRANCH_LENGTHS,
+  isSpinLoop,
+  getIdleCycles,
+} = require("./idle");
 const {
   createSpeedscopeTrace,
   addOpenEvent,
@@ -19,17 +39,33 @@ const {
   getEventsBetween,
 } = require("./speedscope");
 
-const CYCLES_PER_FRAME = 70256;
 const IGNORE_SYMBOLS = [".add_VBL", ".add_int", "_display_off"];
 const RETI = 0xd9;
+const DI = 0xf3;
+const CALL_OPCODES = [0xcd, 0xc4, 0xcc, 0xd4, 0xdc];
+const RST_OPCODES = [0xc7, 0xcf, 0xd7, 0xdf, 0xe7, 0xef, 0xf7, 0xff];
+const JUMP_OPCODES = [
+  0xc3, 0xc2, 0xca, 0xd2, 0xda, 0xe9, 0x18, 0x20, 0x28, 0x30, 0x38,
+];
+// Pseudo functions recording the time the CPU is halted or stopped
+const IDLE_FRAMES = {
+  halt: { symbol: "[HALT]" },
+  stop: { symbol: "[STOP]" },
+};
+const SPIN_FRAME = { symbol: SPIN_SYMBOL };
+// Root of the call stack resumed from a save state that did not record it
+const UNKNOWN_FRAME = { symbol: "[UNKNOWN]" };
+const DEFAULT_TRIGGER_TIMEOUT = 3600;
 
 class BenchmarkRunner {
   /**
    * Create a new benchmark runner
    * @param {object} options - Configuration options
    * @param {Uint8Array|Buffer} options.romData - ROM file data
-   * @param {string} [options.noiData] - NOI file content (optional)
+   * @param {string} [options.noiData] - Symbol file content: GBDK .noi, RGBDS/BGB .sym or WLA-DX .sym (optional)
+   * @param {string} [options.cdbData] - SDCC .cdb file content, enables cycle counts per C source line (optional)
    * @param {Array|string} [options.inputData] - Input events (JSON array or string)
+   * @param {Uint8Array|Buffer} [options.savData] - Battery save (.sav) to load into the cartridge RAM, a save state loaded after it replaces it
    * @param {Function} options.createCanvas - Canvas factory function (width, height) => canvas
    * @param {number} [options.startFrame=0] - Start frame for recording (frames before this are skipped)
    * @param {number} [options.frames=60] - Number of frames to process after startFrame
@@ -39,11 +75,24 @@ class BenchmarkRunner {
    * @param {Function} [options.onProgress] - Progress callback (frame, total) => void
    * @param {Function} [options.onFrameComplete] - Frame complete callback (frameIndex, canvas) => Promise<capture>
    * @param {Function} [options.logger] - Custom logger function
+   * @param {string} [options.tracking='regions'] - Call stack tracking: 'regions' (infer calls from the NOI region of the PC) or 'calls' (follow CALL/RST/RET/RETI and SP)
+   * @param {object|string} [options.loadState] - Save state to resume from (see getState)
+   * @param {boolean} [options.saveState=false] - Include the final save state in the results
+   * @param {string|object} [options.startTrigger] - Start recording in the frame this trigger fires, no earlier than startFrame (see parseTrigger)
+   * @param {string|object} [options.stopTrigger] - Stop recording after the frame this trigger fires, frames is then the maximum to record
+   * @param {number} [options.triggerTimeout=3600] - Frames to wait for the start trigger before giving up
+   * @param {string} [options.syncSymbol] - Function the game loop calls once per logic frame (e.g. _vsync), enables the pacing report
+   * @param {number} [options.targetFrames=1] - Frames per logic frame the game aims for, longer logic frames are lag
+   * @param {boolean} [options.detectSpin=true] - Record time in busy-wait loops as [SPIN] frames
+   * @param {Array<string>} [options.idleSymbols=[]] - Wait functions whose own cycles count as spin idle time
+   * @param {number|string} [options.rtcStart=0] - Cartridge clock time at power on, in seconds or "[days:]hh:mm:ss" (see parseRtcTime)
    */
   constructor(options) {
     this.romData = options.romData;
     this.noiData = options.noiData;
+    this.cdbData = options.cdbData;
     this.inputData = options.inputData;
+    this.savData = options.savData;
     this.createCanvas = options.createCanvas;
     this.startFrame = options.startFrame || 0;
     this.frames = options.frames || 60;
@@ -53,15 +102,44 @@ class BenchmarkRunner {
     this.onProgress = options.onProgress;
     this.onFrameComplete = options.onFrameComplete;
     this.logger = options.logger || console.log;
+    this.tracking = options.tracking || "regions";
+    this.loadState = options.loadState;
+    this.saveState = options.saveState || false;
+    this.startTrigger = options.startTrigger
+      ? parseTrigger(options.startTrigger)
+      : null;
+    this.stopTrigger = options.stopTrigger
+      ? parseTrigger(options.stopTrigger)
+      : null;
+    this.triggerTimeout = options.triggerTimeout || DEFAULT_TRIGGER_TIMEOUT;
+    this.syncSymbol = options.syncSymbol || null;
+    this.targetFrames = options.targetFrames || 1;
+    this.detectSpin = options.detectSpin !== false;
+    this.idleSymbols = options.idleSymbols || [];
+    this.rtcStart = parseRtcTime(options.rtcStart || 0);
 
     this.noiLookup = [];
     this.functionRegions = [];
-    this.regionsByBank = {};
+    this.regionTables = {};
+    this.lineRegions = [];
+    this.addressCycles = {};
+    this.pendingAddressCycles = {};
+    this.countingCycles = null;
     this.noiIndex = {};
     this.currentFnRegion = null;
     this.framesElapsed = 0;
+    this.cyclesElapsed = 0;
     this.fnStack = [];
     this.interruptStack = [];
+    this.triggersArmed = false;
+    this.syncCalls = [];
+    this.disabledWindows = [];
+    this.disabledWindow = null;
+    this.interruptRequests = INTERRUPTS.map(() => null);
+    this.interruptLatencies = [];
+    this.serialBytes = [];
+    this.debugMarkers = [];
+    this.audioFrames = [];
     this.speedscope = null;
     this.canvas = null;
     this.gb = null;
@@ -71,20 +149,48 @@ class BenchmarkRunner {
    * Initialize the benchmark
    */
   initialize() {
-    // Parse NOI data if provided
+    // Parse symbol data if provided
     if (this.noiData) {
-      this.noiLookup = parseNoi(this.noiData);
+      this.noiLookup = loadSymbols(this.noiData);
       this.functionRegions = generateFunctionRegions(this.noiLookup);
+      this.buildRegionTables();
+
+      for (let i = 0; i < this.noiLookup.length; i++) {
+        this.noiIndex[this.noiLookup[i].symbol] = i;
+      }
+    }
 
-      for (const region of this.functionRegions) {
-        if (!this.regionsByBank[region.bank]) {
-          this.regionsByBank[region.bank] = [];
+    // Parse source lines if provided, after the function regions they are bounded by
+    if (this.cdbData) {
+      this.lineRegions = generateLineRegions(
+        parseCdb(this.cdbData),
+        (addr, bank) => this.getCurrentFunctionRegion(addr, bank),
+      );
+      for (const region of this.lineRegions) {
+        if (!this.addressCycles[region.bank]) {
+          this.addressCycles[region.bank] = new Float64Array(0x4000);
+          this.pendingAddressCycles[region.bank] = new Float64Array(0x4000);
         }
-        this.regionsByBank[region.bank].push(region);
       }
+    }
 
-      for (let i = 0; i < this.noiLookup.length; i++) {
-        this.noiIndex[this.noiLookup[i].symbol] = i;
+    // Resolve trigger symbols
+    for (const trigger of [this.startTrigger, this.stopTrigger]) {
+      if (trigger) {
+        this.resolveTrigger(trigger);
+      }
+    }
+
+    if (
+      this.syncSymbol &&
+      !this.functionRegions.some((fn) => fn.symbol === this.syncSymbol)
+    ) {
+      throw new Error(`Unknown function symbol for sync: ${this.syncSymbol}`);
+    }
+
+    for (const symbol of this.idleSymbols) {
+      if (!this.functionRegions.some((fn) => fn.symbol === symbol)) {
+        throw new Error(`Unknown function symbol for idle: ${symbol}`);
       }
     }
 
@@ -95,20 +201,165 @@ class BenchmarkRunner {
 
     // Setup disabled interrupts
     GameboyJS.DISABLED_INTERRUPTS = [...this.disabledInterrupts];
+    GameboyJS.RTC_START = this.rtcStart;
 
     // Create speedscope trace
     this.speedscope = createSpeedscopeTrace(this.noiLookup);
+    if (this.idleSymbols.length > 0) {
+      this.speedscope.idleSymbols = this.idleSymbols;
+    }
 
     // Create canvas and gameboy instance
     this.canvas = this.createCanvas(160, 144);
     this.gb = new GameboyJS.Gameboy(this.canvas);
     this.gb.cpu.isPaused = true;
 
+    // Record the bytes sent over the link port, nothing is ever received
+    this.gb.cpu.serialHandler = {
+      out: (data) => this.serialBytes.push({ at: this.getGBTime(), data }),
+      in: () => 0xff,
+    };
+
     // Setup hooks
-    this.setupHooks();
+    if (this.tracking === "calls") {
+      this.setupCallHooks();
+    } else {
+      this.setupHooks();
+    }
+    this.setupIdleHooks();
+    if (this.detectSpin) {
+      this.setupSpinHooks();
+    }
+    this.setupInterruptHooks();
+    this.setupDebugHooks();
+    if (this.lineRegions.length > 0) {
+      this.setupLineHooks();
+    }
 
     // Load ROM
     this.gb.startRom({ data: this.romData });
+    if (this.savData) {
+      this.gb.loadSaveRam(this.savData);
+    }
+
+    // Resume from save state, recording starts no earlier than its frame
+    if (this.loadState) {
+      this.restoreState(this.loadState);
+      this.startFrame = Math.max(this.startFrame, this.framesElapsed);
+    }
+  }
+
+  /**
+   * Resolve the symbol of a trigger through the NOI lookup
+   * @param {object} trigger - Parsed trigger
+   */
+  resolveTrigger(trigger) {
+    trigger.fired = false;
+    if (trigger.type === "ram") {
+      if (trigger.address !== undefined) return;
+      const symbol = this.noiLookup.find((s) => s.symbol === trigger.symbol);
+      if (!symbol) {
+        throw new Error(`Unknown RAM symbol in trigger: ${trigger.symbol}`);
+      }
+      trigger.address = symbol.addr;
+    } else if (
+      !this.functionRegions.some((fn) => fn.symbol === trigger.symbol)
+    ) {
+      throw new Error(`Unknown function symbol in trigger: ${trigger.symbol}`);
+    }
+  }
+
+  /**
+   * Mark call and return triggers for a function as fired
+   * @param {string} type - 'call' or 'return'
+   * @param {string} symbol - Function symbol
+   */
+  notifyTriggers(type, symbol) {
+    for (const trigger of [this.startTrigger, this.stopTrigger]) {
+      if (trigger && trigger.type === type && trigger.symbol === symbol) {
+        trigger.fired = true;
+      }
+    }
+  }
+
+  /**
+   * Check whether a trigger fired during the last frame
+   * RAM triggers are tested at the end of the frame
+   * @param {object} trigger - Resolved trigger
+   * @returns {boolean}
+   */
+  hasTriggerFired(trigger) {
+    if (trigger.type === "ram") {
+      const memory = this.gb.cpu.memory;
+      return testRamTrigger(trigger, (addr) => memory.rb(addr));
+    }
+    return trigger.fired;
+  }
+
+  /**
+   * Get a save state of the machine and runner position, with the call
+   * stack open at that point so a resumed run continues it
+   * @returns {{frame: number, cycles: number, machine: object, fnStack: Array<object>, interrupts: string[], region: number}}
+   */
+  getState() {
+    return {
+      frame: this.framesElapsed,
+      cycles: this.cyclesElapsed,
+      machine: this.gb.getState(),
+      fnStack: this.fnStack.map(({ symbol, addr, sp, loop, section }) => ({
+        symbol,
+        addr,
+        // Infinity does not survive JSON
+        sp: sp === Infinity ? null : sp,
+        loop,
+        section,
+      })),
+      interrupts: this.interruptStack.map((interrupt) => interrupt.symbol),
+      region: this.functionRegions.indexOf(this.currentFnRegion),
+    };
+  }
+
+  /**
+   * Restore a save state from getState()
+   * @param {object|string} state - Save state object or JSON string
+   */
+  restoreState(state) {
+    if (typeof state === "string") {
+      state = JSON.parse(state);
+    }
+    this.gb.setState(state.machine);
+    this.framesElapsed = state.frame;
+    this.cyclesElapsed = state.cycles;
+
+    // Discard the call stack and events recorded while booting the ROM
+    this.fnStack = [];
+    this.interruptStack = [];
+    this.currentFnRegion = null;
+    this.speedscope.profiles[0].events = [];
+    this.disabledWindows = [];
+    this.disabledWindow = null;
+    this.interruptRequests.fill(null);
+    this.interruptLatencies = [];
+    this.serialBytes = [];
+    this.debugMarkers = [];
+
+    // States saved without the call stack resume under a single frame
+    // rather than a guessed stack
+    if (!state.fnStack) {
+      this.pushFrame(UNKNOWN_FRAME);
+      this.log(`Resumed from save state at frame ${state.frame}`);
+      return;
+    }
+
+    for (const { symbol, addr, sp, loop, section } of state.fnStack) {
+      this.pushFrame({ symbol, addr }, sp ?? Infinity);
+      Object.assign(this.fnStack[this.fnStack.length - 1], { loop, section });
+    }
+    this.interruptStack = state.interrupts.map((symbol) =>
+      INTERRUPTS.find((interrupt) => interrupt.symbol === symbol),
+    );
+    this.currentFnRegion = this.functionRegions[state.region] || null;
+    this.log(`Resumed from save state at frame ${state.frame}`);
   }
 
   /**
@@ -177,18 +428,434 @@ class BenchmarkRunner {
 
       addOpenEvent(
         this.speedscope,
-        this.noiIndex[INTERRUPTS[interrupt].symbol],
+        this.getFrameIndex(INTERRUPTS[interrupt].symbol),
         clockNow,
       );
+
+      if (this.triggersArmed) {
+        this.notifyTriggers("call", INTERRUPTS[interrupt].symbol);
+      }
     };
   }
 
   /**
-   * Get current GB time in cycles
+   * Setup CPU hooks for CALL/RET based call stack tracking
+   * Frames are pushed when a CALL or RST is taken and popped once the
+   * stack pointer moves above their return address, so recursion and
+   * shared epilogues keep an exact stack. A jump to the start of another
+   * function is a tail call and replaces the top frame, or is pushed under
+   * an interrupt frame. Regions only name them
+   */
+  setupCallHooks() {
+    const cpu = this.gb.cpu;
+    let spBefore = 0;
+
+    cpu.onBeforeInstruction = () => {
+      spBefore = cpu.r.sp;
+    };
+
+    cpu.onAfterInstruction = (opcode) => {
+      const sp = cpu.r.sp;
+
+      // Return address popped by RET/RETI or by code moving SP directly
+      this.popFramesBelowSp(sp);
+
+      const pc = cpu.r.pc;
+      const bank = cpu.memory.mbc.romBankNumber;
+
+      if (
+        sp === spBefore - 2 &&
+        (CALL_OPCODES.includes(opcode) || RST_OPCODES.includes(opcode))
+      ) {
+        // Calls outside known symbols (e.g. code copied to RAM) are named by address
+        const fn = this.getCurrentFunctionRegion(pc, bank) || {
+          symbol: `[UNKNOWN ${pc.toString(16).toUpperCase().padStart(4, "0")}]`,
+          addr: pc,
+        };
+        this.currentFnRegion = fn;
+        this.pushFrame(fn, sp);
+      } else if (JUMP_OPCODES.includes(opcode) && this.fnStack.length > 0) {
+        const fn = this.getCurrentFunctionRegion(pc, bank);
+        const top = this.fnStack[this.fnStack.length - 1];
+        if (fn && fn.addr === pc && fn.symbol !== top.symbol) {
+          this.currentFnRegion = fn;
+          // The interrupt frame stays open until its RETI
+          if (!top.interrupt) {
+            this.popFrame(this.getGBTime());
+          }
+          this.pushFrame(fn, top.sp);
+        }
+      }
+    };
+
+    cpu.onInterrupt = (interrupt) => {
+      this.pushFrame(INTERRUPTS[interrupt], cpu.r.sp);
+      this.fnStack[this.fnStack.length - 1].interrupt = true;
+    };
+  }
+
+  /**
+   * Setup CPU hooks recording the time spent halted or stopped as a
+   * [HALT] or [STOP] frame on top of the function that halted
+   */
+  setupIdleHooks() {
+    const cpu = this.gb.cpu;
+
+    cpu.onHalt = (type) => {
+      this.pushFrame(IDLE_FRAMES[type]);
+    };
+
+    cpu.onWake = (type) => {
+      const top = this.fnStack[this.fnStack.length - 1];
+      if (top && top.symbol === IDLE_FRAMES[type].symbol) {
+        this.popFrame(this.getGBTime());
+      }
+    };
+  }
+
+  /**
+   * Setup CPU hooks recording busy-wait loops as a [SPIN] frame, wrapping
+   * the call stack tracking hooks. A loop is found when a short backward
+   * branch is taken and the instructions it repeats have no side effects,
+   * the frame ends once the PC leaves the loop
+   */
+  setupSpinHooks() {
+    const cpu = this.gb.cpu;
+    const onBeforeInstruction = cpu.onBeforeInstruction;
+    const onAfterInstruction = cpu.onAfterInstruction;
+    const readByte = (addr) => cpu.memory.rb(addr);
+    // Results for loops in ROM, by bank and branch address
+    const romLoops = new Map();
+    let pcBefore = 0;
+
+    cpu.onBeforeInstruction = () => {
+      pcBefore = cpu.r.pc;
+      if (onBeforeInstruction) {
+        onBeforeInstruction();
+      }
+    };
+
+    cpu.onAfterInstruction = (opcode) => {
+      const pc = cpu.r.pc;
+      let top = this.fnStack[this.fnStack.length - 1];
+
+      if (
+        top &&
+        top.symbol === SPIN_FRAME.symbol &&
+        (pc < top.loop.start || pc > top.loop.end)
+      ) {
+        this.popFrame(this.getGBTime());
+      }
+
+      if (onAfterInstruction) {
+        onAfterInstruction(opcode);
+      }
+
+      if (
+        !BRANCH_LENGTHS[opcode] ||
+        pc >= pcBefore ||
+        pcBefore - pc > MAX_SPIN_LOOP_BYTES
+      ) {
+        return;
+      }
+      top = this.fnStack[this.fnStack.length - 1];
+      if (top && top.symbol === SPIN_FRAME.symbol) {
+        return;
+      }
+
+      let spinning;
+      if (pcBefore < 0x8000) {
+        const bank = pcBefore < 0x4000 ? 0 : cpu.memory.mbc.romBankNumber;
+        const key = bank * 0x10000 + pcBefore;
+        spinning = romLoops.get(key);
+        if (spinning === undefined) {
+          spinning = isSpinLoop(readByte, pc, pcBefore);
+          romLoops.set(key, spinning);
+        }
+      } else {
+        spinning = isSpinLoop(readByte, pc, pcBefore);
+      }
+
+      if (spinning) {
+        this.pushFrame(SPIN_FRAME, cpu.r.sp);
+        this.fnStack[this.fnStack.length - 1].loop = {
+          start: pc,
+          end: pcBefore + BRANCH_LENGTHS[opcode] - 1,
+        };
+      }
+    };
+  }
+
+  /**
+   * Setup CPU hooks recording the windows interrupts are disabled in and
+   * the latency of interrupts, wrapping the call stack tracking hooks.
+   * A window opens when IME is cleared, by DI or by dispatching an
+   * interrupt, and closes when EI or RETI sets it again. Latency is only
+   * measured for interrupts enabled in IE when they are requested
+   */
+  setupInterruptHooks() {
+    const cpu = this.gb.cpu;
+    const onAfterInstruction = cpu.onAfterInstruction;
+    const onInterrupt = cpu.onInterrupt;
+
+    cpu.onRequestInterrupt = (interrupt) => {
+      this.interruptRequests[interrupt] = cpu.isInterruptEnable(interrupt)
+        ? { at: this.getGBTime(), symbol: this.getCurrentSymbol(cpu.r.pc) }
+        : null;
+    };
+
+    cpu.onAfterInstruction = (opcode) => {
+      if (onAfterInstruction) {
+        onAfterInstruction(opcode);
+      }
+      if (cpu.IME) {
+        if (this.disabledWindow) {
+          this.closeDisabledWindow();
+        }
+      } else if (!this.disabledWindow) {
+        this.openDisabledWindow("di", opcode === DI ? cpu.r.pc - 1 : cpu.r.pc);
+      }
+    };
+
+    cpu.onInterrupt = (interrupt) => {
+      const request = this.interruptRequests[interrupt];
+      this.interruptRequests[interrupt] = null;
+      if (request) {
+        const clockNow = this.getGBTime();
+        this.interruptLatencies.push({
+          interrupt: INTERRUPTS[interrupt].name,
+          requestedAt: request.at,
+          dispatchedAt: clockNow,
+          latency: clockNow - request.at,
+          symbol: request.symbol,
+        });
+      }
+      if (onInterrupt) {
+        onInterrupt(interrupt);
+      }
+      if (!this.disabledWindow) {
+        this.openDisabledWindow("interrupt", INTERRUPTS[interrupt].addr);
+      }
+    };
+  }
+
+  /**
+   * Setup CPU hooks for the debug messages and breakpoints of emulators
+   * such as BGB. A profile begin message opens a section frame on top of
+   * the current function, which stays open across its calls until the end
+   * message or until the function returns. Other messages and breakpoints
+   * are recorded as markers
+   */
+  setupDebugHooks() {
+    const cpu = this.gb.cpu;
+
+    cpu.onDebugMessage = (message) => {
+      const { type, text } = parseDebugMessage(message);
+      const top = this.fnStack[this.fnStack.length - 1];
+
+      if (type === "begin") {
+        this.pushFrame(
+          { symbol: getProfileSymbol(text) },
+          top ? top.sp : Infinity,
+        );
+        this.fnStack[this.fnStack.length - 1].section = true;
+      } else if (type === "end") {
+        if (this.fnStack.some((fn) => fn.section)) {
+          const clockNow = this.getGBTime();
+          let popped;
+          do {
+            popped = this.popFrame(clockNow);
+          } while (!popped.section);
+        }
+      } else {
+        this.addDebugMarker("message", text);
+      }
+    };
+
+    cpu.onBreakpoint = () => {
+      this.addDebugMarker("breakpoint", "");
+    };
+  }
+
+  /**
+   * Record a debug marker at the current time
+   * @param {string} type - "message" or "breakpoint"
+   * @param {string} text - Message text
+   */
+  addDebugMarker(type, text) {
+    const symbol = this.getCurrentSymbol(this.gb.cpu.r.pc);
+    this.debugMarkers.push({ at: this.getGBTime(), type, text, symbol });
+    const prefix = "|   ".repeat(this.fnStack.length);
+    this.log(`${prefix}! ${type === "breakpoint" ? "Breakpoint" : text}`);
+  }
+
+  /**
+   * Get the symbol of the innermost function on the call stack, skipping
+   * the [HALT], [STOP], [SPIN] and [PROFILE] frames on top of it
+   * @param {number} addr - Address named when the call stack has no function
+   * @returns {string}
+   */
+  getCurrentSymbol(addr) {
+    for (let i = this.fnStack.length - 1; i >= 0; i--) {
+      const fn = this.fnStack[i];
+      const idle = Object.values(IDLE_FRAMES).some(
+        (frame) => frame.symbol === fn.symbol,
+      );
+      if (!idle && !fn.loop && !fn.section) {
+        return fn.symbol;
+      }
+    }
+    return `[UNKNOWN ${addr.toString(16).toUpperCase().padStart(4, "0")}]`;
+  }
+
+  /**
+   * Open an interrupts disabled window, attributed to the innermost
+   * function on the call stack
+   * @param {string} cause - "di" or "interrupt"
+   * @param {number} addr - Address of the DI instruction or interrupt vector
+   */
+  openDisabledWindow(cause, addr) {
+    this.disabledWindow = {
+      symbol: this.getCurrentSymbol(addr),
+      stack: this.fnStack.map((fn) => fn.symbol),
+      cause,
+      start: this.getGBTime(),
+    };
+  }
+
+  /**
+   * Close the open interrupts disabled window, along with the enabled
+   * interrupts it held back
+   */
+  closeDisabledWindow() {
+    const cpu = this.gb.cpu;
+    const window = this.disabledWindow;
+    const end = this.getGBTime();
+    const pending = cpu.memory.rb(0xff0f);
+
+    window.end = end;
+    window.delayed = [];
+    this.interruptRequests.forEach((request, interrupt) => {
+      if (
+        request !== null &&
+        pending & (1 << interrupt) &&
+        cpu.isInterruptEnable(interrupt)
+      ) {
+        window.delayed.push({
+          interrupt: INTERRUPTS[interrupt].name,
+          requestedAt: request.at,
+          delay: end - Math.max(request.at, window.start),
+        });
+      }
+    });
+
+    this.disabledWindows.push(window);
+    this.disabledWindow = null;
+  }
+
+  /**
+   * Setup CPU hooks counting the cycles spent at each address, wrapping
+   * the call stack tracking hooks
+   */
+  setupLineHooks() {
+    const cpu = this.gb.cpu;
+    const onBeforeInstruction = cpu.onBeforeInstruction;
+    const onAfterInstruction = cpu.onAfterInstruction;
+    let pc = 0;
+    let bank = 0;
+    let clock = 0;
+
+    cpu.onBeforeInstruction = () => {
+      pc = cpu.r.pc;
+      bank = cpu.memory.mbc.romBankNumber;
+      clock = cpu.clock.c;
+      if (onBeforeInstruction) {
+        onBeforeInstruction();
+      }
+    };
+
+    cpu.onAfterInstruction = (opcode) => {
+      if (this.countingCycles && pc < 0x8000) {
+        const table = this.countingCycles[pc < 0x4000 ? 0 : bank];
+        if (table) {
+          table[pc & 0x3fff] += cpu.clock.c - clock;
+        }
+      }
+      if (onAfterInstruction) {
+        onAfterInstruction(opcode);
+      }
+    };
+  }
+
+  /**
+   * Keep or discard the cycles counted while waiting for a start trigger
+   * @param {boolean} keep - Whether the frame turned out to be recorded
+   */
+  flushPendingCycles(keep) {
+    for (const [bank, pending] of Object.entries(this.pendingAddressCycles)) {
+      if (keep) {
+        const totals = this.addressCycles[bank];
+        for (let i = 0; i < pending.length; i++) {
+          totals[i] += pending[i];
+        }
+      }
+      pending.fill(0);
+    }
+  }
+
+  /**
+   * Sum the recorded cycles of each source line
+   * @returns {Array<{symbol: string, file: string, line: number, cycles: number}>} Lines by descending cycles
+   */
+  getLineTotals() {
+    const totals = new Map();
+
+    for (const region of this.lineRegions) {
+      const table = this.addressCycles[region.bank];
+      let cycles = 0;
+      for (let addr = region.addr; addr <= region.end; addr++) {
+        cycles += table[addr & 0x3fff];
+      }
+      if (cycles === 0) continue;
+
+      const symbol =
+        this.getCurrentFunctionRegion(region.addr, region.bank)?.symbol || "";
+      const key = `${symbol}|${region.file}:${region.line}`;
+      if (!totals.has(key)) {
+        totals.set(key, {
+          symbol,
+          file: region.file,
+          line: region.line,
+          cycles: 0,
+        });
+      }
+      totals.get(key).cycles += cycles;
+    }
+
+    return [...totals.values()].sort((a, b) => b.cycles - a.cycles);
+  }
+
+  /**
+   * Pop frames whose return address is no longer on the stack
+   * @param {number} sp - Current stack pointer
+   */
+  popFramesBelowSp(sp) {
+    while (
+      this.fnStack.length > 0 &&
+      this.fnStack[this.fnStack.length - 1].sp < sp
+    ) {
+      this.popFrame(this.getGBTime());
+    }
+  }
+
+  /**
+   * Get current GB time in CPU cycles
+   * Frames are measured rather than assumed to be a fixed length, as a
+   * CGB in double speed mode runs twice as many cycles per frame
    * @returns {number}
    */
   getGBTime() {
-    return this.gb.cpu.clock.c + this.framesElapsed * CYCLES_PER_FRAME;
+    return this.gb.cpu.clock.c + this.cyclesElapsed;
   }
 
   /**
@@ -200,29 +867,56 @@ class BenchmarkRunner {
     }
   }
 
+  /**
+   * Build per-bank lookup tables mapping each of the 0x4000 addresses of a
+   * bank to the index + 1 of its function region (0 when there is none)
+   */
+  buildRegionTables() {
+    const TableArray =
+      this.functionRegions.length < 0xffff ? Uint16Array : Uint32Array;
+
+    this.functionRegions.forEach((region, index) => {
+      if (!this.regionTables[region.bank]) {
+        this.regionTables[region.bank] = new TableArray(0x4000);
+      }
+      const table = this.regionTables[region.bank];
+      for (let addr = region.addr; addr <= region.end; addr++) {
+        table[addr & 0x3fff] = index + 1;
+      }
+    });
+  }
+
   /**
    * Get current function region for PC and bank
    */
   getCurrentFunctionRegion(pc, bank) {
-    if (this.currentFnRegion) {
-      const fn = this.currentFnRegion;
-      if (pc >= fn.addr && pc <= fn.end) {
-        if (pc < 0x4000 || fn.bank === bank) {
-          return fn;
-        }
-      }
-    }
+    if (pc >= 0x8000) return undefined;
+    const table = this.regionTables[pc < 0x4000 ? 0 : bank];
+    if (!table) return undefined;
+    const index = table[pc & 0x3fff];
+    return index ? this.functionRegions[index - 1] : undefined;
+  }
 
-    const targetBank = pc < 0x4000 ? 0 : bank;
-    const bankRegions = this.regionsByBank[targetBank];
-    if (!bankRegions) return undefined;
-    return bankRegions.find((fn) => pc >= fn.addr && pc <= fn.end);
+  /**
+   * Get the index of a symbol in the trace frames, adding it if missing
+   * @param {string} symbol
+   * @returns {number}
+   */
+  getFrameIndex(symbol) {
+    if (this.noiIndex[symbol] === undefined) {
+      this.noiIndex[symbol] = this.speedscope.shared.frames.length;
+      this.speedscope.shared.frames.push({ name: symbol });
+    }
+    return this.noiIndex[symbol];
   }
 
   /**
    * Push a frame onto the call stack
+   * @param {{symbol: string, addr: number}} fn - Function region
+   * @param {number} [sp] - Address of the return address on the stack,
+   * used by 'calls' tracking to know when the frame returns
    */
-  pushFrame(fn) {
+  pushFrame(fn, sp = Infinity) {
     const clockNow = this.getGBTime();
 
     const parent = this.fnStack[this.fnStack.length - 1];
@@ -239,12 +933,45 @@ class BenchmarkRunner {
       symbol: fn.symbol,
       addr: fn.addr,
       clock: clockNow,
+      sp,
       childPushed: false,
       openPrinted: false,
       indent: this.fnStack.length,
     });
 
-    addOpenEvent(this.speedscope, this.noiIndex[fn.symbol], clockNow);
+    addOpenEvent(this.speedscope, this.getFrameIndex(fn.symbol), clockNow);
+
+    if (fn.symbol === this.syncSymbol) {
+      this.syncCalls.push(clockNow);
+    }
+
+    if (this.triggersArmed) {
+      this.notifyTriggers("call", fn.symbol);
+    }
+  }
+
+  /**
+   * Pop the top frame off the call stack
+   * @param {number} clockNow - Current GB time
+   */
+  popFrame(clockNow) {
+    const poppedFn = this.fnStack.pop();
+    const cycles = clockNow - poppedFn.clock;
+
+    addCloseEvent(
+      this.speedscope,
+      this.getFrameIndex(poppedFn.symbol),
+      Math.max(clockNow, poppedFn.clock),
+      poppedFn.clock,
+    );
+
+    const prefix = "|   ".repeat(Math.max(0, poppedFn.indent));
+    this.log(`${prefix}└- ${poppedFn.symbol} ${cycles}`);
+
+    if (this.triggersArmed) {
+      this.notifyTriggers("return", poppedFn.symbol);
+    }
+    return poppedFn;
   }
 
   /**
@@ -269,22 +996,16 @@ class BenchmarkRunner {
       return;
     }
 
-    while (
-      this.fnStack.length > 0 &&
-      this.fnStack[this.fnStack.length - 1]?.symbol !== fn?.symbol
-    ) {
-      const poppedFn = this.fnStack.pop();
-      const cycles = clockNow - poppedFn.clock;
-
-      addCloseEvent(
-        this.speedscope,
-        this.noiIndex[poppedFn.symbol],
-        Math.max(clockNow, poppedFn.clock),
-        poppedFn.clock,
-      );
-
-      const prefix = "|   ".repeat(Math.max(0, poppedFn.indent));
-      this.log(`${prefix}└- ${poppedFn.symbol} ${cycles}`);
+    while (this.fnStack.length > 0) {
+      // Profile sections stay open on top of the function they began in
+      let index = this.fnStack.length - 1;
+      while (index > 0 && this.fnStack[index].section) {
+        index--;
+      }
+      if (this.fnStack[index].symbol === fn?.symbol) {
+        break;
+      }
+      this.popFrame(clockNow);
     }
   }
 
@@ -299,18 +1020,7 @@ class BenchmarkRunner {
     }
 
     while (this.fnStack.length > 0) {
-      const poppedFn = this.fnStack.pop();
-      const cycles = clockNow - poppedFn.clock;
-
-      addCloseEvent(
-        this.speedscope,
-        this.noiIndex[poppedFn.symbol],
-        clockNow,
-        poppedFn.clock,
-      );
-
-      const prefix = "|   ".repeat(Math.max(0, poppedFn.indent));
-      this.log(`${prefix}└- ${poppedFn.symbol} ${cycles}`);
+      const poppedFn = this.popFrame(clockNow);
 
       if (poppedFn.symbol === fn?.symbol) {
         break;
@@ -374,10 +1084,12 @@ class BenchmarkRunner {
       ...this.noiLookup.map((f) => f.symbol.length),
     );
 
+    const frameCycles = end - start;
+
     for (const { name, duration } of frameStats) {
-      const clampedDuration = Math.min(duration, CYCLES_PER_FRAME);
+      const clampedDuration = Math.min(duration, frameCycles);
       const filledLength = Math.round(
-        (clampedDuration / CYCLES_PER_FRAME) * BAR_WIDTH,
+        (clampedDuration / frameCycles) * BAR_WIDTH,
       );
       const bar = `|${"#".repeat(filledLength)}${"-".repeat(
         BAR_WIDTH - filledLength,
@@ -387,6 +1099,56 @@ class BenchmarkRunner {
       this.log(`* ${paddedName} ${durStr} ${bar}`);
     }
 
+    const windows = this.disabledWindows
+      .filter((window) => window.start >= start && window.start < end)
+      .sort((a, b) => b.end - b.start - (a.end - a.start));
+    if (windows.length > 0) {
+      this.log(`Interrupts disabled (${windows.length} windows):`);
+      for (const window of windows.slice(0, 5)) {
+        const delayed = window.delayed
+          .map(({ interrupt, delay }) => `${interrupt} +${delay}`)
+          .join(", ");
+        this.log(
+          `* ${window.symbol.padEnd(longestSymbolLength)} ${String(window.end - window.start).padStart(8)} (${window.cause})${delayed ? ` delayed ${delayed}` : ""}`,
+        );
+      }
+    }
+
+    const latencies = this.interruptLatencies.filter(
+      (request) => request.requestedAt >= start && request.requestedAt < end,
+    );
+    if (latencies.length > 0) {
+      this.log("Interrupt latency (min / avg / max, jitter):");
+      for (const stats of summarizeInterruptLatency(latencies)) {
+        const { interrupt, min, avg, max, jitter, worst } = stats;
+        this.log(
+          `* ${interrupt.padEnd(longestSymbolLength)} ${min} / ${avg.toFixed(1)} / ${max}, ${jitter} (worst requested in ${worst.symbol})`,
+        );
+      }
+    }
+
+    const serialText = this.serialBytes
+      .filter((byte) => byte.at >= start && byte.at < end)
+      .map((byte) => String.fromCharCode(byte.data))
+      .join("");
+    if (serialText.length > 0) {
+      this.log("Serial output:");
+      for (const line of serialText.replace(/\r?\n$/, "").split(/\r?\n/)) {
+        this.log(`> ${line}`);
+      }
+    }
+
+    const idle = getIdleCycles(this.speedscope, start, end, this.idleSymbols);
+    for (const [label, cycles] of [
+      ["Idle (halt)", idle.halt],
+      ["Idle (spin)", idle.spin],
+      ["Busy", frameCycles - idle.total],
+    ]) {
+      this.log(
+        `= ${label.padEnd(longestSymbolLength)} ${String(cycles).padStart(8)} (${((cycles / frameCycles) * 100).toFixed(1)}%)`,
+      );
+    }
+
     this.log(
       "---------------------------------------------------------------------------",
     );
@@ -395,20 +1157,38 @@ class BenchmarkRunner {
 
   /**
    * Run the benchmark
-   * @returns {Promise<{speedscope: object, captures: Array}>} Benchmark results
+   * @returns {Promise<{speedscope: object, captures: Array, state?: object, sav?: Uint8Array, wav: Uint8Array}>} Benchmark results, sav is the final cartridge RAM when the cartridge has RAM and wav the sound of the recorded frames
    */
   async run() {
     this.initialize();
 
     const captures = [];
-    const totalFrames = this.startFrame + this.frames;
-    let captureStartTime = 0;
+    // Without a start trigger the recorded frames are known up front,
+    // with one the end is moved once it fires
+    let recordingStart = this.startTrigger ? null : this.startFrame;
+    let totalFrames =
+      this.startFrame + (this.startTrigger ? this.triggerTimeout : this.frames);
+    let captureStartTime = null;
+
+    for (let i = this.framesElapsed; i < totalFrames; i++) {
+      this.triggersArmed = i >= this.startFrame;
+
+      // Cycles are counted straight into the totals once the frame is known
+      // to be recorded, and held back while a start trigger may still fire
+      if (recordingStart !== null && i >= recordingStart) {
+        this.countingCycles = this.addressCycles;
+      } else if (this.triggersArmed) {
+        this.countingCycles = this.pendingAddressCycles;
+      } else {
+        this.countingCycles = null;
+      }
 
-    for (let i = 0; i < totalFrames; i++) {
-      const isRecording = i >= this.startFrame;
-      // const isRecording = true;
+      if (recordingStart === null && this.stopTrigger) {
+        // A stop trigger only counts from the frame recording starts in
+        this.stopTrigger.fired = false;
+      }
 
-      if (isRecording) {
+      if (recordingStart !== null && i >= recordingStart) {
         this.log(
           "= FRAME",
           i,
@@ -435,6 +1215,39 @@ class BenchmarkRunner {
       // Execute frame
       this.gb.cpu.frame();
       this.framesElapsed++;
+      this.cyclesElapsed += this.gb.cpu.clock.lastFrame;
+      const frameEndTime = this.getGBTime();
+      // Samples are taken every frame so the APU buffer never fills up
+      const frameSamples = this.gb.cpu.apu.takeSamples();
+
+      if (
+        recordingStart === null &&
+        this.triggersArmed &&
+        this.hasTriggerFired(this.startTrigger)
+      ) {
+        recordingStart = i;
+        totalFrames = i + this.frames;
+        this.log(
+          `Start trigger ${formatTrigger(this.startTrigger)} fired in frame ${i}`,
+        );
+      }
+
+      const isRecording = recordingStart !== null && i >= recordingStart;
+
+      if (
+        isRecording &&
+        this.stopTrigger &&
+        this.hasTriggerFired(this.stopTrigger)
+      ) {
+        totalFrames = i + 1;
+        this.log(
+          `Stop trigger ${formatTrigger(this.stopTrigger)} fired in frame ${i}`,
+        );
+      }
+
+      if (this.countingCycles === this.pendingAddressCycles) {
+        this.flushPendingCycles(isRecording);
+      }
 
       // Progress callback (report total progress)
       if (this.onProgress) {
@@ -443,18 +1256,29 @@ class BenchmarkRunner {
 
       // Only capture/record if we're past the start frame
       if (isRecording) {
-        if (captureStartTime === 0) {
+        if (captureStartTime === null) {
           captureStartTime = frameStartTime;
         }
+        this.audioFrames.push({ frameNumber: i, samples: frameSamples });
 
-        // Capture frame
+        // Capture frame, every recorded frame is kept in the trace even
+        // without an image so exports can tell where frames start
+        let capture = null;
         if (this.captureMode === "all" && this.onFrameComplete) {
-          const capture = await this.onFrameComplete(i, this.canvas);
+          capture = await this.onFrameComplete(i, this.canvas);
           if (capture) {
             captures.push(capture);
-            addCapture(this.speedscope, capture.src, frameStartTime, i);
           }
-        } else if (
+        }
+        addCapture(
+          this.speedscope,
+          capture?.src,
+          frameStartTime,
+          i,
+          frameEndTime - frameStartTime,
+          this.gb.cpu.doubleSpeed,
+        );
+        if (
           this.captureMode === "exit" &&
           i === totalFrames - 1 &&
           this.onFrameComplete
@@ -466,19 +1290,67 @@ class BenchmarkRunner {
         }
         this.logFrameReport(
           frameStartTime,
-          this.getGBTime(),
+          frameEndTime,
           this.framesElapsed - 1,
         );
       }
     }
 
+    this.triggersArmed = false;
+    this.countingCycles = null;
+
+    if (recordingStart === null) {
+      throw new Error(
+        `Start trigger ${formatTrigger(this.startTrigger)} did not fire within ${this.triggerTimeout} frames`,
+      );
+    }
+
+    // Save state before the open frames are closed
+    const state = this.saveState ? this.getState() : undefined;
+
     // Finalize
+    if (this.disabledWindow) {
+      this.closeDisabledWindow();
+    }
     this.popFramesUntil();
     finalizeTrace(this.speedscope, captureStartTime);
+    if (this.lineRegions.length > 0) {
+      this.speedscope.lines = this.getLineTotals();
+    }
+    this.speedscope.interruptsDisabled = analyzeDisabledWindows(
+      this.speedscope,
+      this.disabledWindows,
+    );
+    this.speedscope.interruptLatency = analyzeInterruptLatency(
+      this.speedscope,
+      this.interruptLatencies,
+    );
+    this.speedscope.serial = analyzeSerialOutput(
+      this.speedscope,
+      this.serialBytes,
+    );
+    this.speedscope.markers = analyzeDebugMarkers(
+      this.speedscope,
+      this.debugMarkers,
+    );
+    const sampleRate = this.gb.cpu.apu.sampleRate;
+    this.speedscope.audio = analyzeAudio(this.audioFrames, sampleRate);
+    if (this.syncSymbol) {
+      this.speedscope.pacing = analyzePacing(this.speedscope, this.syncCalls, {
+        syncSymbol: this.syncSymbol,
+        targetFrames: this.targetFrames,
+      });
+    }
 
     return {
       speedscope: this.speedscope,
       captures,
+      state,
+      sav: this.gb.getSaveRam() || undefined,
+      wav: createWav(
+        concatSamples(this.audioFrames.map((frame) => frame.samples)),
+        sampleRate,
+      ),
     };
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Frame budgets
+ * Checks the cycles spent in functions each frame against per-function limits
+ */
+
+const { walkCallStacksByCapture } = require("./speedscope");
+
+/**
+ * Parse a budgets file
+ * Budgets map symbol names to the M-cycles allowed per frame, either as a
+ * number or as an object: { "_update_actors": 8000, "[INTERRUPT] VBL": { "mcycles": 1100, "self": true } }
+ * @param {string|object} data - Budgets JSON text or parsed object
+ * @returns {Array<{symbol: string, mcycles: number, self: boolean}>} Budgets
+ */
+function parseBudgets(data) {
+  const json = typeof data === "string" ? JSON.parse(data) : data;
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("Budgets must be an object of symbol names to M-cycles");
+  }
+
+  return Object.entries(json).map(([symbol, value]) => {
+    const budget = typeof value === "number" ? { mcycles: value } : value;
+    if (!budget || typeof budget.mcycles !== "number" || budget.mcycles < 0) {
+      throw new Error(`Invalid budget for ${symbol}`);
+    }
+    return { symbol, mcycles: budget.mcycles, self: !!budget.self };
+  });
+}
+
+/**
+ * Check the recorded frames of a trace against budgets
+ * Inclusive cycles include the functions called and recursive calls only
+ * count once. The stack reported for a broken budget is the one of the
+ * longest call of the function in that frame
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{symbol: string, mcycles: number, self: boolean}>} budgets - Budgets from parseBudgets
+ * @returns {{frames: number, unknownSymbols: string[], violations: Array<{symbol: string, frameNumber: number, mcycles: number, budget: number, over: number, self: boolean, stack: string[]}>}}
+ */
+function checkBudgets(trace, budgets) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const budgetsBySymbol = new Map(budgets.map((b) => [b.symbol, b]));
+  const unknownSymbols = budgets
+    .map((b) => b.symbol)
+    .filter((symbol) => !names.includes(symbol));
+  const violations = [];
+  const frameUsage = trace.captures.map(() => new Map());
+
+  walkCallStacksByCapture(
+    trace,
+    ({ frame, cycles, selfCycles, stack }, index) => {
+      const budget = budgetsBySymbol.get(names[frame]);
+      if (!budget || index < 0) return;
+
+      const usage = frameUsage[index];
+      if (!usage.has(budget)) {
+        usage.set(budget, { cycles: 0, peak: 0, stack: [] });
+      }
+      const entry = usage.get(budget);
+      const recursive = stack.some((caller) => names[caller] === names[frame]);
+      if (budget.self) {
+        entry.cycles += selfCycles;
+      } else if (!recursive) {
+        entry.cycles += cycles;
+      }
+      if (cycles > entry.peak) {
+        entry.peak = cycles;
+        entry.stack = [...stack, frame].map((f) => names[f]);
+      }
+    },
+  );
+
+  trace.captures.forEach((capture, index) => {
+    for (const [budget, entry] of frameUsage[index]) {
+      const mcycles = entry.cycles / 4;
+      if (mcycles > budget.mcycles) {
+        violations.push({
+          symbol: budget.symbol,
+          frameNumber: capture.frameNumber,
+          mcycles,
+          budget: budget.mcycles,
+          over: mcycles - budget.mcycles,
+          self: budget.self,
+          stack: entry.stack,
+        });
+      }
+    }
+  });
+
+  return { frames: trace.captures.length, unknownSymbols, violations };
+}
+
+module.exports = {
+  parseBudgets,
+  checkBudgets,
+};
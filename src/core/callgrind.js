@@ -0,0 +1,82 @@
+/**
+ * Callgrind export
+ * Converts a trace into the callgrind format read by KCachegrind/QCachegrind
+ */
+
+const { walkCallStacks } = require("./speedscope");
+
+/**
+ * Create a callgrind profile from a trace
+ * Costs are given in CPU cycles and M-cycles (4 cycles). Interrupt handlers
+ * are called from whichever function they interrupted
+ * @param {object} trace - Speedscope trace object
+ * @param {object} [options]
+ * @param {string} [options.cmd] - Command line recorded in the profile
+ * @returns {string} Content of a callgrind.out file
+ */
+function createCallgrind(trace, options = {}) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const functions = new Map();
+  let totalCycles = 0;
+
+  const getFunction = (frame) => {
+    if (!functions.has(frame)) {
+      functions.set(frame, { selfCycles: 0, callees: new Map() });
+    }
+    return functions.get(frame);
+  };
+
+  walkCallStacks(trace, ({ frame, cycles, selfCycles, stack }) => {
+    getFunction(frame).selfCycles += selfCycles;
+    totalCycles += selfCycles;
+
+    if (stack.length > 0) {
+      const caller = getFunction(stack[stack.length - 1]);
+      if (!caller.callees.has(frame)) {
+        caller.callees.set(frame, { calls: 0, cycles: 0 });
+      }
+      const call = caller.callees.get(frame);
+      call.calls++;
+      call.cycles += cycles;
+    }
+  });
+
+  // Names are written in full the first time and by id after that
+  const ids = new Map();
+  const fnName = (frame) => {
+    if (ids.has(frame)) {
+      return `(${ids.get(frame)})`;
+    }
+    ids.set(frame, ids.size + 1);
+    return `(${ids.get(frame)}) ${names[frame]}`;
+  };
+  const costs = (cycles) => `${cycles} ${Math.round(cycles / 4)}`;
+
+  const lines = ["# callgrind format", "version: 1", "creator: gb-flamegraph"];
+  if (options.cmd) {
+    lines.push(`cmd: ${options.cmd}`);
+  }
+  lines.push(
+    "positions: line",
+    "events: Cycles MCycles",
+    `summary: ${costs(totalCycles)}`,
+    "",
+  );
+
+  for (const [frame, fn] of functions) {
+    lines.push(`fn=${fnName(frame)}`);
+    lines.push(`0 ${costs(fn.selfCycles)}`);
+    for (const [callee, call] of fn.callees) {
+      lines.push(`cfn=${fnName(callee)}`);
+      lines.push(`calls=${call.calls} 0`);
+      lines.push(`0 ${costs(call.cycles)}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  createCallgrind,
+};
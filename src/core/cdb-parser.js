@@ -0,0 +1,79 @@
+/**
+ * CDB (SDCC debug information) file parser
+ * Extracts the addresses of C source lines from GBDK/SDCC linked .cdb files
+ */
+
+// L:C$<file>$<line>$<level>$<block>:<address>
+const LINE_RECORD = /^L:C\$(.+)\$(\d+)\$[^$]*\$[^$:]*:([0-9a-f]+)\s*$/i;
+
+/**
+ * Parse a .cdb file and extract the address of each C source line
+ * Addresses above 0xFFFF hold the ROM bank in their upper bits, as in .noi files
+ * @param {string} text - Content of the .cdb file
+ * @returns {Array<{file: string, line: number, addr: number, bank: number}>} Source line records
+ */
+function parseCdb(text) {
+  const result = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = rawLine.trim().match(LINE_RECORD);
+    if (!match) continue;
+
+    const [, file, lineStr, addrStr] = match;
+    const fullAddr = parseInt(addrStr, 16);
+    const addr = fullAddr & 0xffff;
+    if (addr >= 0x8000) continue;
+
+    result.push({
+      file,
+      line: parseInt(lineStr, 10),
+      addr,
+      bank: addr < 0x4000 ? 0 : (fullAddr >> 16) & 0xff,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Generate source line regions with start/end addresses
+ * A line runs until the next line record in its bank, and never past the
+ * end of the function region it starts in. When several lines share an
+ * address the last one is kept, as earlier ones generated no code
+ * @param {Array<{file: string, line: number, addr: number, bank: number}>} lines - Parsed CDB lines
+ * @param {function(number, number): ({end: number}|undefined)} [getFunctionRegion] - Function region lookup by (addr, bank)
+ * @returns {Array<{file: string, line: number, addr: number, bank: number, end: number}>} Source line regions
+ */
+function generateLineRegions(lines, getFunctionRegion) {
+  const bankGroups = new Map();
+
+  for (const line of lines) {
+    if (!bankGroups.has(line.bank)) {
+      bankGroups.set(line.bank, new Map());
+    }
+    bankGroups.get(line.bank).set(line.addr, { ...line });
+  }
+
+  const regions = [];
+
+  for (const [bank, byAddr] of bankGroups.entries()) {
+    const addrMax = bank === 0 ? 0x3fff : 0x7fff;
+    const sorted = [...byAddr.values()].sort((a, b) => a.addr - b.addr);
+    for (let i = 0; i < sorted.length; i++) {
+      const next = sorted[i + 1];
+      const fn = getFunctionRegion && getFunctionRegion(sorted[i].addr, bank);
+      sorted[i].end = Math.min(
+        next ? next.addr - 1 : addrMax,
+        fn ? fn.end : addrMax,
+      );
+    }
+    regions.push(...sorted);
+  }
+
+  return regions;
+}
+
+module.exports = {
+  parseCdb,
+  generateLineRegions,
+};
@@ -0,0 +1,185 @@
+/**
+ * Chrome Trace Event Format export
+ * Converts a trace for Perfetto (https://ui.perfetto.dev) and chrome://tracing
+ */
+
+const { walkCallStacks } = require("./speedscope");
+const { formatDebugMarker } = require("./debug-messages");
+
+const CYCLES_PER_SECOND = 4194304;
+const INTERRUPT_PREFIX = "[INTERRUPT] ";
+const PID = 1;
+const MAIN_TID = 1;
+
+/**
+ * Create a converter from cycle timestamps to emulated microseconds
+ * CGB double speed frames run twice as many cycles in the same time. Times
+ * outside the captured frames use the normal speed clock
+ * @param {Array<{at: number, cycles: number, doubleSpeed?: boolean}>} captures - Trace captures
+ * @param {number} origin - Timestamp of 0µs
+ * @returns {function(number): number}
+ */
+function createTimeConverter(captures, origin) {
+  const toMicros = (cycles) => (cycles * 1e6) / CYCLES_PER_SECOND;
+  const frames = [];
+  let micros = 0;
+  let at = origin;
+
+  for (const capture of captures) {
+    if (!capture.cycles || capture.at < at) continue;
+    micros += toMicros(capture.at - at);
+    const frameMicros = toMicros(
+      capture.doubleSpeed ? capture.cycles / 2 : capture.cycles,
+    );
+    frames.push({
+      at: capture.at,
+      cycles: capture.cycles,
+      micros,
+      frameMicros,
+    });
+    micros += frameMicros;
+    at = capture.at + capture.cycles;
+  }
+
+  return (cycles) => {
+    let lo = 0;
+    let hi = frames.length - 1;
+    let frame = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (frames[mid].at <= cycles) {
+        frame = frames[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+
+    if (!frame) {
+      return toMicros(cycles - origin);
+    }
+    const offset = cycles - frame.at;
+    if (offset >= frame.cycles) {
+      return frame.micros + frame.frameMicros + toMicros(offset - frame.cycles);
+    }
+    return frame.micros + (offset / frame.cycles) * frame.frameMicros;
+  };
+}
+
+/**
+ * Create a Trace Event Format trace
+ * Main code and each interrupt handler (with the functions it calls) are
+ * put on separate tracks, and each captured frame starts with an instant
+ * event. Lines of serial output and debug markers are instant events on
+ * Serial and Debug tracks
+ * @param {object} trace - Speedscope trace object
+ * @param {object} [options]
+ * @param {string} [options.name] - Process name shown for the trace
+ * @returns {{traceEvents: Array<object>, displayTimeUnit: string}}
+ */
+function createChromeTrace(trace, options = {}) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const captures = trace.captures || [];
+  const origin = trace.recordingStart ?? captures[0]?.at ?? 0;
+  const toMicros = createTimeConverter(captures, origin);
+
+  const tracks = new Map([["Main", MAIN_TID]]);
+  const getTrack = (name) => {
+    if (!tracks.has(name)) {
+      tracks.set(name, tracks.size + 1);
+    }
+    return tracks.get(name);
+  };
+
+  const events = [];
+
+  walkCallStacks(trace, ({ frame, start, end, cycles, selfCycles, stack }) => {
+    // Calls go on the track of the innermost interrupt they run under
+    let track = "Main";
+    for (const caller of [...stack, frame]) {
+      if (names[caller].startsWith(INTERRUPT_PREFIX)) {
+        track = names[caller].substring(INTERRUPT_PREFIX.length);
+      }
+    }
+
+    const ts = toMicros(start);
+    events.push({
+      name: names[frame],
+      ph: "X",
+      ts,
+      dur: toMicros(end) - ts,
+      pid: PID,
+      tid: getTrack(track),
+      args: { cycles, selfCycles },
+    });
+  });
+
+  for (const capture of captures) {
+    if (capture.at < origin) continue;
+    events.push({
+      name: `Frame ${capture.frameNumber}`,
+      ph: "i",
+      s: "g",
+      ts: toMicros(capture.at),
+      pid: PID,
+      tid: MAIN_TID,
+    });
+  }
+
+  for (const line of trace.serial?.lines || []) {
+    events.push({
+      name: line.text,
+      ph: "i",
+      s: "t",
+      ts: toMicros(line.at),
+      pid: PID,
+      tid: getTrack("Serial"),
+      args: { frameNumber: line.frameNumber },
+    });
+  }
+
+  for (const marker of trace.markers || []) {
+    events.push({
+      name: formatDebugMarker(marker),
+      ph: "i",
+      s: "t",
+      ts: toMicros(marker.at),
+      pid: PID,
+      tid: getTrack("Debug"),
+      args: { frameNumber: marker.frameNumber, symbol: marker.symbol },
+    });
+  }
+
+  // Parents come before the children starting at the same time
+  events.sort((a, b) => a.ts - b.ts || (b.dur || 0) - (a.dur || 0));
+
+  const metadata = [
+    {
+      name: "process_name",
+      ph: "M",
+      pid: PID,
+      args: { name: options.name || "gb-flamegraph" },
+    },
+  ];
+  for (const [name, tid] of tracks) {
+    metadata.push(
+      { name: "thread_name", ph: "M", pid: PID, tid, args: { name } },
+      {
+        name: "thread_sort_index",
+        ph: "M",
+        pid: PID,
+        tid,
+        args: { sort_index: tid },
+      },
+    );
+  }
+
+  return {
+    traceEvents: [...metadata, ...events],
+    displayTimeUnit: "ms",
+  };
+}
+
+module.exports = {
+  createChromeTrace,
+};
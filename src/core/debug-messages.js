@@ -0,0 +1,93 @@
+/**
+ * Debug messages
+ * Reads the debug messages and breakpoints games send to emulators such as
+ * BGB and no$gmb. Profile messages open and close named sections in the
+ * trace, other messages and breakpoints are kept as markers
+ */
+
+const { findCaptureIndex } = require("./speedscope");
+
+const PROFILE_PREFIX = "[PROFILE] ";
+const EXPRESSION = /%[^%]*%/g;
+
+/**
+ * Parse the text of a debug message
+ * Messages with %ZEROCLKS% begin a profile section (GBDK EMU_PROFILE_BEGIN)
+ * and messages with %LASTCLKS% end the innermost one (EMU_PROFILE_END).
+ * Other %...% expressions are removed from the text
+ * @param {string} message - Message text as stored in the ROM
+ * @returns {{type: string, text: string}} type is "begin", "end" or "message"
+ */
+function parseDebugMessage(message) {
+  const text = message.replace(EXPRESSION, "").replace(/\0/g, "").trim();
+  if (/%ZEROCLKS%/i.test(message)) {
+    return { type: "begin", text };
+  }
+  if (/%[^%]*LASTCLKS%/i.test(message)) {
+    return { type: "end", text };
+  }
+  return { type: "message", text };
+}
+
+/**
+ * Get the trace frame name of a profile section
+ * @param {string} name - Section name, from the begin message
+ * @returns {string}
+ */
+function getProfileSymbol(name) {
+  return `${PROFILE_PREFIX}${name || "section"}`;
+}
+
+/**
+ * Analyse the debug markers of a trace
+ * Markers belong to the recorded frame they were hit in, markers hit outside
+ * the recording are left out
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{at: number, type: string, text: string, symbol: string}>} markers - Messages and breakpoints recorded by the runner, type is "message" or "breakpoint"
+ * @returns {Array<{at: number, frameNumber: number, type: string, text: string, symbol: string}>} Recorded markers
+ */
+function analyzeDebugMarkers(trace, markers) {
+  const captures = trace.captures;
+  const recorded = [];
+  for (const marker of markers) {
+    const index = findCaptureIndex(captures, marker.at);
+    if (index < 0 || index >= captures.length) continue;
+    recorded.push({ ...marker, frameNumber: captures[index].frameNumber });
+  }
+  return recorded;
+}
+
+/**
+ * Describe a debug marker
+ * @param {{type: string, text: string, symbol: string}} marker
+ * @returns {string}
+ */
+function formatDebugMarker(marker) {
+  return marker.type === "breakpoint"
+    ? `Breakpoint in ${marker.symbol}`
+    : marker.text;
+}
+
+/**
+ * Format debug markers as a text report
+ * @param {Array<object>} markers - Result of analyzeDebugMarkers
+ * @returns {string}
+ */
+function formatDebugMarkersReport(markers) {
+  const lines = [`Debug markers: ${markers.length}`];
+  for (const marker of markers) {
+    lines.push(
+      `* [frame ${marker.frameNumber}] ${formatDebugMarker(marker)}${marker.type === "message" ? ` (${marker.symbol})` : ""}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PROFILE_PREFIX,
+  parseDebugMessage,
+  getProfileSymbol,
+  analyzeDebugMarkers,
+  formatDebugMarker,
+  formatDebugMarkersReport,
+};
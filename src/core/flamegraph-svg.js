@@ -0,0 +1,189 @@
+/**
+ * SVG flame graph export
+ * Renders folded stacks as a standalone interactive SVG, click a frame to
+ * zoom into it and click the background to reset
+ */
+
+const WIDTH = 1200;
+const ROW_HEIGHT = 16;
+const PADDING = 10;
+const TITLE_HEIGHT = 30;
+const CHAR_WIDTH = 7;
+const MIN_WIDTH = 0.1;
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Pick a warm colour from a frame name so frames keep their colour between graphs
+ * @param {string} name - Frame name
+ * @returns {string} CSS colour
+ */
+function getFrameColor(name) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  }
+  const r = 205 + (hash % 50);
+  const g = 80 + ((hash >>> 8) % 150);
+  const b = 40 + ((hash >>> 16) % 50);
+  return `rgb(${r},${g},${b})`;
+}
+
+/**
+ * Build a call tree from folded stacks
+ * @param {Map<string, number>} stacks - Self cycles by stack
+ * @returns {{name: string, cycles: number, children: Map<string, object>}} Root node
+ */
+function buildTree(stacks) {
+  const root = { name: "all", cycles: 0, children: new Map() };
+  for (const [key, cycles] of stacks) {
+    root.cycles += cycles;
+    let node = root;
+    for (const name of key.split(";")) {
+      if (!node.children.has(name)) {
+        node.children.set(name, { name, cycles: 0, children: new Map() });
+      }
+      node = node.children.get(name);
+      node.cycles += cycles;
+    }
+  }
+  return root;
+}
+
+/**
+ * Script embedded in the SVG for zooming
+ * Frames store their unzoomed position in data-x/data-w, zooming rescales them
+ * and hides the frames outside of the zoomed frame
+ */
+const ZOOM_SCRIPT = `
+const svg = document.documentElement;
+const frames = Array.from(svg.querySelectorAll("g.f"));
+const WIDTH = ${WIDTH - PADDING * 2};
+const PADDING = ${PADDING};
+const CHAR_WIDTH = ${CHAR_WIDTH};
+
+function fitText(g, width) {
+  const text = g.querySelector("text");
+  const name = g.dataset.n;
+  const chars = Math.floor((width - 6) / CHAR_WIDTH);
+  if (chars < 3) {
+    text.textContent = "";
+  } else if (chars < name.length) {
+    text.textContent = name.substring(0, chars - 2) + "..";
+  } else {
+    text.textContent = name;
+  }
+}
+
+function zoom(target) {
+  const x0 = target ? parseFloat(target.dataset.x) : 0;
+  const w0 = target ? parseFloat(target.dataset.w) : WIDTH;
+  const y0 = target ? parseFloat(target.querySelector("rect").getAttribute("y")) : Infinity;
+  const scale = WIDTH / w0;
+  for (const g of frames) {
+    const x = parseFloat(g.dataset.x);
+    const w = parseFloat(g.dataset.w);
+    const rect = g.querySelector("rect");
+    const y = parseFloat(rect.getAttribute("y"));
+    // Ancestors span the zoomed frame, everything else outside of it is hidden
+    const inside = x >= x0 - 0.0001 && x + w <= x0 + w0 + 0.0001;
+    const ancestor = y > y0 && x <= x0 && x + w >= x0 + w0;
+    if (!inside && !ancestor) {
+      g.style.display = "none";
+      continue;
+    }
+    g.style.display = "";
+    const nx = ancestor ? 0 : (x - x0) * scale;
+    const nw = ancestor ? WIDTH : w * scale;
+    rect.setAttribute("x", PADDING + nx);
+    rect.setAttribute("width", nw);
+    g.querySelector("text").setAttribute("x", PADDING + nx + 3);
+    g.style.opacity = ancestor ? 0.5 : "";
+    fitText(g, nw);
+  }
+}
+
+for (const g of frames) {
+  g.addEventListener("click", (e) => {
+    e.stopPropagation();
+    zoom(g);
+  });
+}
+svg.querySelector("#background").addEventListener("click", () => zoom(null));
+zoom(null);
+`;
+
+/**
+ * Create a standalone SVG flame graph
+ * The root is at the bottom and callees are stacked on top of their callers,
+ * frame widths are proportional to the cycles spent in them
+ * @param {Map<string, number>} stacks - Self cycles by stack, see getFoldedStacks
+ * @param {object} [options]
+ * @param {string} [options.title] - Title shown above the graph
+ * @returns {string} SVG document
+ */
+function createFlamegraphSvg(stacks, options = {}) {
+  const title = options.title || "Flame Graph";
+  const root = buildTree(stacks);
+  const graphWidth = WIDTH - PADDING * 2;
+  const scale = root.cycles > 0 ? graphWidth / root.cycles : 0;
+
+  // Lay out frames depth first, children sorted by name like flamegraph.pl
+  const frames = [];
+  let maxDepth = 0;
+  const layout = (node, x, depth) => {
+    const width = node.cycles * scale;
+    if (width < MIN_WIDTH) return;
+    frames.push({ node, x, width, depth });
+    maxDepth = Math.max(maxDepth, depth);
+    let childX = x;
+    const children = [...node.children.values()].sort((a, b) =>
+      a.name < b.name ? -1 : a.name > b.name ? 1 : 0,
+    );
+    for (const child of children) {
+      layout(child, childX, depth + 1);
+      childX += child.cycles * scale;
+    }
+  };
+  layout(root, 0, 0);
+
+  const height = TITLE_HEIGHT + (maxDepth + 1) * ROW_HEIGHT + PADDING * 2;
+  const lines = [
+    `<?xml version="1.0" standalone="no"?>`,
+    `<svg version="1.1" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">`,
+    `<style>text { font-family: monospace; font-size: 12px; } g.f { cursor: pointer; } g.f:hover rect { stroke: #000; stroke-width: 0.5; }</style>`,
+    `<rect id="background" x="0" y="0" width="${WIDTH}" height="${height}" fill="#eeeeee"/>`,
+    `<text x="${WIDTH / 2}" y="${PADDING + 14}" text-anchor="middle" font-size="16">${escapeXml(title)}</text>`,
+  ];
+
+  for (const { node, x, width, depth } of frames) {
+    const y = height - PADDING - (depth + 1) * ROW_HEIGHT;
+    const percent = ((node.cycles / root.cycles) * 100).toFixed(2);
+    const name = escapeXml(node.name);
+    lines.push(
+      `<g class="f" data-x="${x.toFixed(3)}" data-w="${width.toFixed(3)}" data-n="${name}">` +
+        `<title>${name} (${node.cycles} cycles, ${percent}%)</title>` +
+        `<rect x="${(PADDING + x).toFixed(3)}" y="${y}" width="${width.toFixed(3)}" height="${ROW_HEIGHT - 1}" rx="2" fill="${getFrameColor(node.name)}"/>` +
+        `<text x="${(PADDING + x + 3).toFixed(3)}" y="${y + ROW_HEIGHT - 4}"></text>` +
+        `</g>`,
+    );
+  }
+
+  lines.push(`<script><![CDATA[${ZOOM_SCRIPT}]]></script>`, `</svg>`, "");
+  return lines.join("\n");
+}
+
+module.exports = {
+  createFlamegraphSvg,
+};
@@ -0,0 +1,87 @@
+/**
+ * Folded stack export
+ * Converts a trace into Brendan Gregg's folded stack format ("main;update;draw 1234")
+ */
+
+const { walkCallStacks, walkCallStacksByCapture } = require("./speedscope");
+
+/**
+ * Sum the self cycles of each call stack in a time range
+ * @param {object} trace - Speedscope trace object
+ * @param {number} [start] - Start timestamp, defaults to the start of recording
+ * @param {number} [end] - End timestamp, defaults to the end of the trace
+ * @returns {Map<string, number>} Self cycles by stack, frames separated by ";"
+ */
+function getFoldedStacks(trace, start, end) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const stacks = new Map();
+
+  walkCallStacks(
+    trace,
+    ({ frame, selfCycles, stack }) => {
+      if (selfCycles <= 0) return;
+      const key = [...stack, frame].map((f) => names[f]).join(";");
+      stacks.set(key, (stacks.get(key) || 0) + selfCycles);
+    },
+    start,
+    end,
+  );
+
+  return stacks;
+}
+
+/**
+ * Sum the self cycles of each call stack in several time ranges, walking
+ * the trace once
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{at: number, cycles: number}>} ranges - Sorted time ranges that don't overlap, such as the trace captures
+ * @returns {Array<Map<string, number>>} Self cycles by stack in each range
+ */
+function getFoldedStacksInRanges(trace, ranges) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const stacks = ranges.map(() => new Map());
+
+  walkCallStacksByCapture(
+    trace,
+    ({ frame, selfCycles, stack }, index) => {
+      if (selfCycles <= 0 || index < 0) return;
+      const key = [...stack, frame].map((f) => names[f]).join(";");
+      stacks[index].set(key, (stacks[index].get(key) || 0) + selfCycles);
+    },
+    ranges,
+  );
+
+  return stacks;
+}
+
+/**
+ * Get the folded stacks of each recorded frame
+ * @param {object} trace - Speedscope trace object
+ * @returns {Array<{frameNumber: number, stacks: Map<string, number>}>}
+ */
+function getFoldedStacksPerFrame(trace) {
+  const stacks = getFoldedStacksInRanges(trace, trace.captures);
+  return trace.captures.map((capture, index) => ({
+    frameNumber: capture.frameNumber,
+    stacks: stacks[index],
+  }));
+}
+
+/**
+ * Format folded stacks as text, one "stack cycles" line each
+ * @param {Map<string, number>} stacks - Self cycles by stack
+ * @returns {string}
+ */
+function formatFoldedStacks(stacks) {
+  return [...stacks.keys()]
+    .sort()
+    .map((key) => `${key} ${stacks.get(key)}\n`)
+    .join("");
+}
+
+module.exports = {
+  getFoldedStacks,
+  getFoldedStacksInRanges,
+  getFoldedStacksPerFrame,
+  formatFoldedStacks,
+};
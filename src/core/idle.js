@@ -0,0 +1,174 @@
+/**
+ * Idle time
+ * Finds busy-wait loops and sums the idle cycles of a trace: time halted
+ * or stopped, and time spinning in wait loops or known wait functions
+ */
+
+const { walkCallStacks } = require("./speedscope");
+
+const HALT_SYMBOLS = ["[HALT]", "[STOP]"];
+const SPIN_SYMBOL = "[SPIN]";
+
+// Longest loop, in bytes, that is checked for being a busy-wait
+const MAX_SPIN_LOOP_BYTES = 16;
+
+// Length of the JR/JP instructions that can close a loop
+const BRANCH_LENGTHS = {
+  0x18: 2,
+  0x20: 2,
+  0x28: 2,
+  0x30: 2,
+  0x38: 2,
+  0xc3: 3,
+  0xc2: 3,
+  0xca: 3,
+  0xd2: 3,
+  0xda: 3,
+};
+
+// Instructions allowed in a busy-wait, by length. They only read memory or
+// set registers from memory and constants, so nothing but the memory read
+// changes between iterations. Counting loops (INC/DEC, HL+/HL-, shifts)
+// are work rather than waiting
+const SPIN_OPCODE_LENGTHS = new Uint8Array(0x100);
+for (const [length, opcodes] of [
+  [
+    1,
+    [
+      // NOP, HALT, rotates of A, DAA, CPL, SCF, CCF
+      0x00, 0x76, 0x07, 0x0f, 0x17, 0x1f, 0x27, 0x2f, 0x37, 0x3f,
+      // LD A,(BC) / (DE), LD A,(C)
+      0x0a, 0x1a, 0xf2,
+      // RET cc leaves the loop
+      0xc0, 0xc8, 0xd0, 0xd8,
+    ],
+  ],
+  [
+    2,
+    [
+      // LD r,n
+      0x06, 0x0e, 0x16, 0x1e, 0x26, 0x2e, 0x3e,
+      // ALU A,n
+      0xc6, 0xce, 0xd6, 0xde, 0xe6, 0xee, 0xf6, 0xfe,
+      // LDH A,(n)
+      0xf0,
+      // CB prefixed, only BIT is allowed
+      0xcb,
+    ],
+  ],
+  [
+    3,
+    [
+      // LD rr,nn, LD A,(nn)
+      0x01, 0x11, 0x21, 0xfa,
+    ],
+  ],
+]) {
+  for (const opcode of opcodes) {
+    SPIN_OPCODE_LENGTHS[opcode] = length;
+  }
+}
+// LD r,r' and LD r,(HL), but not LD (HL),r
+for (let opcode = 0x40; opcode < 0x80; opcode++) {
+  if (opcode < 0x70 || opcode > 0x77 || opcode === 0x76) {
+    SPIN_OPCODE_LENGTHS[opcode] = 1;
+  }
+}
+// ALU A,r and ALU A,(HL)
+for (let opcode = 0x80; opcode < 0xc0; opcode++) {
+  SPIN_OPCODE_LENGTHS[opcode] = 1;
+}
+for (const [opcode, length] of Object.entries(BRANCH_LENGTHS)) {
+  SPIN_OPCODE_LENGTHS[opcode] = length;
+}
+
+/**
+ * Check whether an instruction reads memory
+ * @param {number} opcode
+ * @param {number} cbOpcode - Second byte of CB prefixed instructions
+ * @returns {boolean}
+ */
+function readsMemory(opcode, cbOpcode) {
+  if ([0x0a, 0x1a, 0xf0, 0xf2, 0xfa].includes(opcode)) {
+    return true;
+  }
+  // LD r,(HL), ALU A,(HL) and BIT n,(HL)
+  if (opcode === 0xcb) {
+    return (cbOpcode & 0x07) === 6;
+  }
+  return opcode >= 0x40 && opcode < 0xc0 && (opcode & 0x07) === 6;
+}
+
+/**
+ * Check whether a loop is a busy-wait, polling memory with no writes to
+ * memory, calls, stack use or registers counting between iterations
+ * @param {function(number): number} readByte - Memory read function
+ * @param {number} start - Address the loop branches back to
+ * @param {number} branchAddr - Address of the branch closing the loop
+ * @returns {boolean}
+ */
+function isSpinLoop(readByte, start, branchAddr) {
+  if (branchAddr < start || branchAddr - start > MAX_SPIN_LOOP_BYTES) {
+    return false;
+  }
+
+  let addr = start;
+  let polls = false;
+  while (addr < branchAddr) {
+    const opcode = readByte(addr);
+    const length = SPIN_OPCODE_LENGTHS[opcode];
+    if (!length) {
+      return false;
+    }
+    const cbOpcode = opcode === 0xcb ? readByte(addr + 1) : 0;
+    if (opcode === 0xcb && (cbOpcode < 0x40 || cbOpcode >= 0x80)) {
+      return false;
+    }
+    polls = polls || readsMemory(opcode, cbOpcode);
+    addr += length;
+  }
+
+  return polls && addr === branchAddr;
+}
+
+/**
+ * Sum the idle cycles in a time range
+ * Halted cycles are the self cycles of [HALT] and [STOP]. Spin cycles are
+ * the self cycles of [SPIN] and of the known wait functions
+ * @param {object} trace - Speedscope trace object
+ * @param {number} [start] - Start timestamp, defaults to the start of recording
+ * @param {number} [end] - End timestamp, defaults to the end of the trace
+ * @param {string[]} [idleSymbols] - Wait functions, defaults to trace.idleSymbols
+ * @returns {{halt: number, spin: number, total: number}} Idle cycles
+ */
+function getIdleCycles(trace, start, end, idleSymbols = trace.idleSymbols) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const waitSymbols = new Set(idleSymbols || []);
+  let halt = 0;
+  let spin = 0;
+
+  walkCallStacks(
+    trace,
+    ({ frame, selfCycles }) => {
+      const name = names[frame];
+      if (HALT_SYMBOLS.includes(name)) {
+        halt += selfCycles;
+      } else if (name === SPIN_SYMBOL || waitSymbols.has(name)) {
+        spin += selfCycles;
+      }
+    },
+    start,
+    end,
+  );
+
+  return { halt, spin, total: halt + spin };
+}
+
+module.exports = {
+  HALT_SYMBOLS,
+  SPIN_SYMBOL,
+  MAX_SPIN_LOOP_BYTES,
+  BRANCH_LENGTHS,
+  isSpinLoop,
+  getIdleCycles,
+};
@@ -4,7 +4,63 @@
 
 const BenchmarkRunner = require("./benchmark");
 const { INTERRUPTS, parseNoi, generateFunctionRegions } = require("./noi-parser");
-const { parseJsonInput, parseMesenInput, parseBgbInput, parseInput } = require("./input-parsers");
+const {
+  parseRgbdsSym,
+  parseWlaSym,
+  detectSymbolFormat,
+  loadSymbols,
+} = require("./symbol-loader");
+const { parseJsonInput, parseMesenInput, parseInputLog, parseInput } = require("./input-parsers");
+const { parseTrigger, testRamTrigger, formatTrigger } = require("./triggers");
+const { parseRtcTime } = require("./rtc");
+const { parseCdb, generateLineRegions } = require("./cdb-parser");
+const { createCallgrind } = require("./callgrind");
+const { createChromeTrace } = require("./chrome-trace");
+const {
+  getFoldedStacks,
+  getFoldedStacksInRanges,
+  getFoldedStacksPerFrame,
+  formatFoldedStacks,
+} = require("./folded");
+const { createFlamegraphSvg } = require("./flamegraph-svg");
+const { parseBudgets, checkBudgets } = require("./budgets");
+const { analyzePacing, formatPacingReport } = require("./pacing");
+const {
+  HALT_SYMBOLS,
+  SPIN_SYMBOL,
+  isSpinLoop,
+  getIdleCycles,
+} = require("./idle");
+const {
+  analyzeDisabledWindows,
+  formatDisabledWindowsReport,
+  summarizeInterruptLatency,
+  analyzeInterruptLatency,
+  formatInterruptLatencyReport,
+} = require("./interrupt-timing");
+const { analyzeSerialOutput, formatSerialReport } = require("./serial");
+const {
+  PROFILE_PREFIX,
+  parseDebugMessage,
+  getProfileSymbol,
+  analyzeDebugMarkers,
+  formatDebugMarker,
+  formatDebugMarkersReport,
+} = require("./debug-messages");
+const {
+  WAVEFORM_COLUMNS,
+  concatSamples,
+  createWav,
+  getWaveform,
+  analyzeAudio,
+} = require("./audio");
+const {
+  DIFF_METRICS,
+  diffTraces,
+  getMetricDelta,
+  findRegressions,
+  formatDiffReport,
+} = require("./trace-diff");
 const {
   createSpeedscopeTrace,
   addOpenEvent,
@@ -12,6 +68,9 @@ const {
   addCapture,
   finalizeTrace,
   getEventsBetween,
+  findCaptureIndex,
+  walkCallStacks,
+  walkCallStacksByCapture,
 } = require("./speedscope");
 
 module.exports = {
@@ -19,14 +78,65 @@ module.exports = {
   INTERRUPTS,
   parseNoi,
   generateFunctionRegions,
+  parseRgbdsSym,
+  parseWlaSym,
+  detectSymbolFormat,
+  loadSymbols,
   parseJsonInput,
   parseMesenInput,
-  parseBgbInput,
+  parseInputLog,
   parseInput,
+  parseTrigger,
+  testRamTrigger,
+  formatTrigger,
+  parseRtcTime,
+  parseCdb,
+  generateLineRegions,
   createSpeedscopeTrace,
   addOpenEvent,
   addCloseEvent,
   addCapture,
   finalizeTrace,
   getEventsBetween,
+  findCaptureIndex,
+  walkCallStacks,
+  walkCallStacksByCapture,
+  createCallgrind,
+  createChromeTrace,
+  getFoldedStacks,
+  getFoldedStacksInRanges,
+  getFoldedStacksPerFrame,
+  formatFoldedStacks,
+  createFlamegraphSvg,
+  DIFF_METRICS,
+  diffTraces,
+  getMetricDelta,
+  findRegressions,
+  formatDiffReport,
+  parseBudgets,
+  checkBudgets,
+  analyzePacing,
+  formatPacingReport,
+  HALT_SYMBOLS,
+  SPIN_SYMBOL,
+  isSpinLoop,
+  getIdleCycles,
+  analyzeDisabledWindows,
+  formatDisabledWindowsReport,
+  summarizeInterruptLatency,
+  analyzeInterruptLatency,
+  formatInterruptLatencyReport,
+  analyzeSerialOutput,
+  formatSerialReport,
+  PROFILE_PREFIX,
+  parseDebugMessage,
+  getProfileSymbol,
+  analyzeDebugMarkers,
+  formatDebugMarker,
+  formatDebugMarkersReport,
+  WAVEFORM_COLUMNS,
+  concatSamples,
+  createWav,
+  getWaveform,
+  analyzeAudio,
 };
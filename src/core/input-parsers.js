@@ -2,6 +2,121 @@
  * Input format parsers for various emulator recording formats
  */
 
+const { unzipSync, strFromU8 } = require("fflate");
+
+// Mesen writes one "|UDLRSsBA" column per controller and frame, "." when released
+const MESEN_BUTTONS = [
+  "UP",
+  "DOWN",
+  "LEFT",
+  "RIGHT",
+  "START",
+  "SELECT",
+  "B",
+  "A",
+];
+const MESEN_INPUT_FILE = "Input.txt";
+const MESEN_STATE_FILE = "SaveState.mss";
+
+// Input logs hold "<frame>: <buttons>" lines, "-" when nothing is held
+const LOG_BUTTONS = [
+  "UP",
+  "DOWN",
+  "LEFT",
+  "RIGHT",
+  "START",
+  "SELECT",
+  "B",
+  "A",
+];
+const LOG_LINE = /^(\d+)\s*:?\s*([a-z,\s-]*)$/i;
+
+/**
+ * Convert the buttons held from each frame on into press/release events
+ * @param {Array<{frame: number, buttons: string[]}>} states - Held buttons, in frame order
+ * @returns {Array<{frame: number, press?: string[], release?: string[]}>}
+ */
+function heldButtonsToEvents(states) {
+  const events = [];
+  let held = [];
+
+  states.forEach(({ frame, buttons }) => {
+    const press = buttons.filter((button) => !held.includes(button));
+    const release = held.filter((button) => !buttons.includes(button));
+    if (press.length > 0 || release.length > 0) {
+      const event = { frame };
+      if (press.length > 0) event.press = press;
+      if (release.length > 0) event.release = release;
+      events.push(event);
+    }
+    held = buttons;
+  });
+
+  return events;
+}
+
+/**
+ * Get binary input data as a Uint8Array, or null for other data
+ * @param {*} data
+ * @returns {Uint8Array|null}
+ */
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+/**
+ * Check for the local file header signature of a zip archive
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isZip(bytes) {
+  return (
+    bytes.length >= 4 &&
+    bytes[0] === 0x50 &&
+    bytes[1] === 0x4b &&
+    bytes[2] === 0x03 &&
+    bytes[3] === 0x04
+  );
+}
+
+/**
+ * Get the lines of an input log without comments and blank lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+function getInputLogLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/[;#].*$/, "").trim())
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Check whether text looks like an input log
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isInputLog(text) {
+  const lines = getInputLogLines(text);
+  return lines.length > 0 && lines.every((line) => LOG_LINE.test(line));
+}
+
+/**
+ * Check whether text looks like a Mesen input log
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMesenInputLog(text) {
+  const firstLine = text.trimStart().split(/\r?\n/, 1)[0];
+  return /^\|[UDLRSsBA.]{8}(\||$)/.test(firstLine);
+}
+
 /**
  * Parse JSON input format
  * @param {string|object} data - JSON string or parsed object
@@ -15,31 +130,96 @@ function parseJsonInput(data) {
 }
 
 /**
- * Parse MESEN movie format (.msm)
- * @param {string} data - MESEN movie file content
+ * Parse MESEN movie format (.mmo)
+ * Movies are zip archives whose Input.txt holds one line per frame, with a
+ * "|UDLRSsBA" column per controller. Only the first controller is used
+ * @param {Uint8Array|ArrayBuffer|string} data - Movie archive, or the content of its Input.txt
  * @returns {Array<{frame: number, press?: string[], release?: string[]}>}
- * @todo Implement MESEN format parsing
  */
 function parseMesenInput(data) {
-  // Placeholder for future implementation
-  throw new Error("MESEN format not yet implemented");
+  let text = data;
+
+  const bytes = toBytes(data);
+  if (bytes) {
+    if (!isZip(bytes)) {
+      text = strFromU8(bytes);
+    } else {
+      const files = unzipSync(bytes);
+      if (files[MESEN_STATE_FILE]) {
+        throw new Error(
+          "MESEN movies recorded from a save state are not supported, record from power on",
+        );
+      }
+      if (!files[MESEN_INPUT_FILE]) {
+        throw new Error(`MESEN movie has no ${MESEN_INPUT_FILE}`);
+      }
+      text = strFromU8(files[MESEN_INPUT_FILE]);
+    }
+  }
+
+  const frames = text
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith("|"))
+    .map((line, frame) => {
+      const state = line.split("|")[1];
+      if (state.length !== MESEN_BUTTONS.length) {
+        throw new Error(`Invalid MESEN input on frame ${frame}: ${line}`);
+      }
+      return {
+        frame,
+        buttons: MESEN_BUTTONS.filter((button, i) => state[i] !== "."),
+      };
+    });
+
+  return heldButtonsToEvents(frames);
 }
 
 /**
- * Parse BGB recording format
- * @param {string} data - BGB recording file content
+ * Parse a text input log
+ * Each line gives the frame the joypad changed on and the buttons held from
+ * then on, e.g. "95: RIGHT A B" or "300: -" once everything is released.
+ * Comments start with ";" or "#"
+ * @param {string|Uint8Array|ArrayBuffer} data - Input log content
  * @returns {Array<{frame: number, press?: string[], release?: string[]}>}
- * @todo Implement BGB format parsing
  */
-function parseBgbInput(data) {
-  // Placeholder for future implementation
-  throw new Error("BGB format not yet implemented");
+function parseInputLog(data) {
+  const bytes = toBytes(data);
+  const text = bytes ? strFromU8(bytes) : data;
+
+  let lastFrame = -1;
+  const states = getInputLogLines(text).map((line) => {
+    const match = line.match(LOG_LINE);
+    if (!match) {
+      throw new Error(`Invalid input log line: ${line}`);
+    }
+
+    const frame = parseInt(match[1], 10);
+    if (frame <= lastFrame) {
+      throw new Error(`Input log frames must increase: ${line}`);
+    }
+    lastFrame = frame;
+
+    const buttons = match[2]
+      .split(/[\s,]+/)
+      .filter((name) => name && name !== "-")
+      .map((name) => {
+        const button = name.toUpperCase();
+        if (!LOG_BUTTONS.includes(button)) {
+          throw new Error(`Unknown button in input log: ${name}`);
+        }
+        return button;
+      });
+
+    return { frame, buttons };
+  });
+
+  return heldButtonsToEvents(states);
 }
 
 /**
  * Auto-detect and parse input format
  * @param {string|object} data - Input data
- * @param {string} [format] - Explicit format: 'json', 'mesen', 'bgb'
+ * @param {string} [format] - Explicit format: 'json', 'mesen', 'log'
  * @returns {Array<{frame: number, press?: string[], release?: string[]}>}
  */
 function parseInput(data, format) {
@@ -49,25 +229,38 @@ function parseInput(data, format) {
         return parseJsonInput(data);
       case "mesen":
         return parseMesenInput(data);
-      case "bgb":
-        return parseBgbInput(data);
+      case "log":
+        return parseInputLog(data);
       default:
         throw new Error(`Unknown input format: ${format}`);
     }
   }
 
   // Auto-detect format
+  const bytes = toBytes(data);
+  if (bytes) {
+    if (isZip(bytes)) {
+      return parseMesenInput(bytes);
+    }
+    data = strFromU8(bytes);
+  }
+
   if (typeof data === "object") {
     // Already parsed JSON (object or array)
     return parseJsonInput(data);
   }
 
   if (typeof data === "string") {
+    if (isMesenInputLog(data)) {
+      return parseMesenInput(data);
+    }
+    if (isInputLog(data)) {
+      return parseInputLog(data);
+    }
     try {
       // Try JSON first
       return parseJsonInput(data);
     } catch (e) {
-      // Could add auto-detection for other formats here
       throw new Error("Unable to auto-detect input format");
     }
   }
@@ -78,6 +271,6 @@ function parseInput(data, format) {
 module.exports = {
   parseJsonInput,
   parseMesenInput,
-  parseBgbInput,
+  parseInputLog,
   parseInput,
 };
@@ -0,0 +1,285 @@
+/**
+ * Interrupt timing analysis
+ * Summarises the windows the CPU ran with interrupts disabled (IME off),
+ * after DI or while an interrupt handler runs, and the interrupts they held
+ * back, and the latency from requesting an interrupt to running its handler
+ */
+
+const { INTERRUPTS } = require("./noi-parser");
+const { findCaptureIndex } = require("./speedscope");
+
+const MAX_FRAME_WINDOWS = 5;
+const MAX_REPORTED = 10;
+
+/**
+ * Analyse the interrupts disabled windows of a trace
+ * Windows belong to the recorded frame they start in, windows starting
+ * outside the recording are left out. A delayed interrupt was requested
+ * while interrupts were disabled, its delay is the time from the request
+ * (or the start of the window) to the end of the window
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{symbol: string, stack: string[], cause: string, start: number, end: number, delayed: Array<{interrupt: string, requestedAt: number, delay: number}>}>} windows - Windows recorded by the runner, cause is "di" or "interrupt"
+ * @returns {object} Window results
+ */
+function analyzeDisabledWindows(trace, windows) {
+  const captures = trace.captures;
+  const frames = captures.map((capture) => ({
+    frameNumber: capture.frameNumber,
+    count: 0,
+    cycles: 0,
+    windows: [],
+  }));
+  const functions = new Map();
+  const recorded = [];
+
+  for (const window of windows) {
+    const index = findCaptureIndex(captures, window.start);
+    if (index < 0 || index >= captures.length) continue;
+
+    const cycles = window.end - window.start;
+    const entry = { ...window, cycles, frameNumber: frames[index].frameNumber };
+    recorded.push(entry);
+
+    const frame = frames[index];
+    frame.count++;
+    frame.cycles += cycles;
+    frame.windows.push(entry);
+
+    if (!functions.has(window.symbol)) {
+      functions.set(window.symbol, {
+        symbol: window.symbol,
+        count: 0,
+        cycles: 0,
+        longest: 0,
+        delayed: 0,
+      });
+    }
+    const fn = functions.get(window.symbol);
+    fn.count++;
+    fn.cycles += cycles;
+    fn.longest = Math.max(fn.longest, cycles);
+    fn.delayed += window.delayed.length;
+  }
+
+  const byLength = (a, b) => b.cycles - a.cycles;
+  for (const frame of frames) {
+    frame.windows = frame.windows.sort(byLength).slice(0, MAX_FRAME_WINDOWS);
+  }
+
+  const delays = recorded
+    .flatMap((window) =>
+      window.delayed.map((delayed) => ({
+        ...delayed,
+        symbol: window.symbol,
+        cause: window.cause,
+        frameNumber: window.frameNumber,
+      })),
+    )
+    .sort((a, b) => b.delay - a.delay);
+
+  return {
+    count: recorded.length,
+    cycles: recorded.reduce((sum, window) => sum + window.cycles, 0),
+    delayedCount: delays.length,
+    frames,
+    functions: [...functions.values()].sort((a, b) => b.longest - a.longest),
+    longest: [...recorded].sort(byLength).slice(0, MAX_REPORTED),
+    delays: delays.slice(0, MAX_REPORTED),
+  };
+}
+
+/**
+ * Format a window as one line of a report
+ * @param {object} window - Window from analyzeDisabledWindows
+ * @returns {string}
+ */
+function formatDisabledWindow(window) {
+  const cause = window.cause === "interrupt" ? "handler" : "DI";
+  const delayed = window.delayed
+    .map(({ interrupt, delay }) => `${interrupt} by ${Math.round(delay / 4)}`)
+    .join(", ");
+  return `* ${String(Math.round(window.cycles / 4)).padStart(8)} ${window.symbol} (${cause}) in frame ${window.frameNumber}${delayed ? `, delayed ${delayed}` : ""}`;
+}
+
+/**
+ * Format interrupts disabled windows as a text report
+ * @param {object} result - Result of analyzeDisabledWindows
+ * @returns {string}
+ */
+function formatDisabledWindowsReport(result) {
+  const lines = [
+    `Interrupts disabled: ${result.count} windows, ${Math.round(result.cycles / 4)} M-cycles in ${result.frames.length} frames, ${result.delayedCount} interrupts delayed`,
+  ];
+
+  if (result.longest.length > 0) {
+    lines.push("Longest windows (M-cycles):");
+    for (const window of result.longest) {
+      lines.push(formatDisabledWindow(window));
+    }
+  }
+
+  if (result.delays.length > 0) {
+    lines.push("Longest interrupt delays (M-cycles):");
+    for (const delayed of result.delays) {
+      lines.push(
+        `* ${String(Math.round(delayed.delay / 4)).padStart(8)} ${delayed.interrupt} held back by ${delayed.symbol} in frame ${delayed.frameNumber}`,
+      );
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Get the latency statistics of a list of requests
+ * Jitter is the spread between the shortest and longest latency
+ * @param {Array<{latency: number}>} requests - Dispatched requests
+ * @returns {{count: number, min: number, avg: number, max: number, jitter: number}}
+ */
+function getLatencyStats(requests) {
+  // Reduced rather than spread into Math.min / max, a long recording can
+  // have more requests than fit in the arguments of a call
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  for (const { latency } of requests) {
+    min = Math.min(min, latency);
+    max = Math.max(max, latency);
+    sum += latency;
+  }
+  return {
+    count: requests.length,
+    min,
+    avg: sum / requests.length,
+    max,
+    jitter: max - min,
+  };
+}
+
+/**
+ * Get the latency statistics of each interrupt type in a list of requests
+ * @param {Array<{interrupt: string, latency: number}>} requests - Dispatched requests
+ * @returns {Array<{interrupt: string, count: number, min: number, avg: number, max: number, jitter: number, requests: Array}>} Types with requests, in priority order
+ */
+function groupByInterrupt(requests) {
+  return INTERRUPTS.map(({ name }) => ({
+    interrupt: name,
+    requests: requests.filter((request) => request.interrupt === name),
+  }))
+    .filter(({ requests }) => requests.length > 0)
+    .map(({ interrupt, requests }) => ({
+      interrupt,
+      ...getLatencyStats(requests),
+      requests,
+    }));
+}
+
+/**
+ * Summarise the latency of each interrupt type in a list of requests
+ * @param {Array<{interrupt: string, latency: number, symbol: string}>} requests - Dispatched requests
+ * @returns {Array<{interrupt: string, count: number, min: number, avg: number, max: number, jitter: number, worst: object}>} Types with requests, worst is the request with the longest latency
+ */
+function summarizeInterruptLatency(requests) {
+  return groupByInterrupt(requests).map(({ requests, ...stats }) => ({
+    ...stats,
+    worst: requests.reduce((a, b) => (b.latency > a.latency ? b : a)),
+  }));
+}
+
+/**
+ * Analyse the interrupt latency of a trace
+ * Latency runs from the request of an interrupt to the start of its
+ * handler, including the 20 cycles of the dispatch itself. Requests belong
+ * to the recorded frame they arrive in, requests arriving outside the
+ * recording are left out
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{interrupt: string, requestedAt: number, dispatchedAt: number, latency: number, symbol: string}>} requests - Dispatched requests recorded by the runner, symbol is the function executing when the request arrived
+ * @returns {object} Latency results per interrupt type and per frame
+ */
+function analyzeInterruptLatency(trace, requests) {
+  const captures = trace.captures;
+  const frames = captures.map((capture) => ({
+    frameNumber: capture.frameNumber,
+    requests: [],
+  }));
+
+  const recorded = [];
+  for (const request of requests) {
+    const index = findCaptureIndex(captures, request.requestedAt);
+    if (index < 0 || index >= captures.length) continue;
+    const entry = { ...request, frameNumber: frames[index].frameNumber };
+    recorded.push(entry);
+    frames[index].requests.push(entry);
+  }
+
+  const byLatency = (a, b) => b.latency - a.latency;
+
+  return {
+    interrupts: groupByInterrupt(recorded).map(({ requests, ...stats }) => {
+      const functions = new Map();
+      for (const request of requests) {
+        if (!functions.has(request.symbol)) {
+          functions.set(request.symbol, []);
+        }
+        functions.get(request.symbol).push(request);
+      }
+      return {
+        ...stats,
+        functions: [...functions.entries()]
+          .map(([symbol, requests]) => ({
+            symbol,
+            ...getLatencyStats(requests),
+          }))
+          .sort((a, b) => b.max - a.max)
+          .slice(0, MAX_REPORTED),
+        worst: [...requests].sort(byLatency).slice(0, MAX_REPORTED),
+      };
+    }),
+    frames: frames.map(({ frameNumber, requests }) => ({
+      frameNumber,
+      interrupts: summarizeInterruptLatency(requests),
+    })),
+  };
+}
+
+/**
+ * Format latency statistics in M-cycles
+ * @param {{count: number, min: number, avg: number, max: number, jitter: number}} stats
+ * @returns {string}
+ */
+function formatLatencyStats(stats) {
+  return `${stats.count} requests, min ${Math.round(stats.min / 4)}, avg ${(stats.avg / 4).toFixed(1)}, max ${Math.round(stats.max / 4)}, jitter ${Math.round(stats.jitter / 4)}`;
+}
+
+/**
+ * Format interrupt latency as a text report
+ * @param {object} result - Result of analyzeInterruptLatency
+ * @returns {string}
+ */
+function formatInterruptLatencyReport(result) {
+  const lines = [
+    `Interrupt latency (M-cycles from request to handler, over ${result.frames.length} frames)`,
+  ];
+  if (result.interrupts.length === 0) {
+    lines.push("* No interrupts dispatched");
+  }
+
+  for (const stats of result.interrupts) {
+    lines.push(`* ${stats.interrupt}: ${formatLatencyStats(stats)}`);
+    for (const request of stats.worst.slice(0, 3)) {
+      lines.push(
+        `  ${String(Math.round(request.latency / 4)).padStart(8)} requested in ${request.symbol} in frame ${request.frameNumber}`,
+      );
+    }
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  analyzeDisabledWindows,
+  formatDisabledWindowsReport,
+  summarizeInterruptLatency,
+  analyzeInterruptLatency,
+  formatInterruptLatencyReport,
+};
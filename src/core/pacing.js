@@ -0,0 +1,190 @@
+/**
+ * Frame pacing analysis
+ * Splits a trace into logic frames, from one call of the game loop's sync
+ * function (such as _vsync or _wait_vbl_done) to the next, and finds the
+ * vblanks the game loop missed
+ */
+
+const { getFoldedStacksInRanges } = require("./folded");
+const { findCaptureIndex } = require("./speedscope");
+
+const VBLANKS_PER_SECOND = 4194304 / 70224;
+const MAX_OFFENDERS = 10;
+
+/**
+ * Group frame numbers into runs of consecutive frames
+ * @param {number[]} frameNumbers - Ascending frame numbers
+ * @returns {Array<{frameNumber: number, length: number}>} Runs, from their first frame
+ */
+function getFrameRuns(frameNumbers) {
+  const runs = [];
+  for (const frameNumber of frameNumbers) {
+    const run = runs[runs.length - 1];
+    if (run && run.frameNumber + run.length === frameNumber) {
+      run.length++;
+    } else {
+      runs.push({ frameNumber, length: 1 });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Analyse the frame pacing of a trace
+ * A logic frame overruns when it spans more vblanks than targetFrames, the
+ * vblanks past the target are lag frames. Offenders are the call stacks that
+ * used the most cycles in overrunning logic frames, not counting the sync
+ * function itself. Recorded frames before the first sync call or after the
+ * last one are in no logic frame, they are reported as unsynced frames
+ * rather than checked for lag
+ * @param {object} trace - Speedscope trace object
+ * @param {number[]} syncCalls - Timestamps the sync function was called at
+ * @param {object} options
+ * @param {string} options.syncSymbol - Name of the sync function
+ * @param {number} [options.targetFrames=1] - Vblanks per logic frame the game aims for
+ * @returns {object} Pacing results
+ */
+function analyzePacing(trace, syncCalls, options) {
+  const { syncSymbol } = options;
+  const targetFrames = options.targetFrames || 1;
+  const captures = trace.captures;
+  const frameNumberAt = (index) => captures[index].frameNumber;
+
+  const syncFrames = new Set();
+  for (const at of syncCalls) {
+    const index = findCaptureIndex(captures, at);
+    if (index >= 0 && index < captures.length) {
+      syncFrames.add(frameNumberAt(index));
+    }
+  }
+
+  const overruns = [];
+  const overrunRanges = [];
+  const lagFrames = [];
+  const offenders = new Map();
+  let logicFrames = 0;
+  let firstSyncIndex = captures.length;
+  let lastSyncIndex = -1;
+
+  for (let i = 1; i < syncCalls.length; i++) {
+    const start = syncCalls[i - 1];
+    const end = syncCalls[i];
+    const startIndex = findCaptureIndex(captures, start);
+    const endIndex = findCaptureIndex(captures, end);
+    if (startIndex < 0 || endIndex >= captures.length) continue;
+
+    logicFrames++;
+    firstSyncIndex = Math.min(firstSyncIndex, startIndex);
+    lastSyncIndex = Math.max(lastSyncIndex, endIndex);
+    const frames = endIndex - startIndex;
+    if (frames <= targetFrames) continue;
+
+    for (let index = startIndex + targetFrames; index < endIndex; index++) {
+      lagFrames.push(frameNumberAt(index));
+    }
+
+    overruns.push({
+      frameNumber: frameNumberAt(startIndex),
+      frames,
+      cycles: end - start,
+      topStack: null,
+    });
+    overrunRanges.push({ at: start, cycles: end - start });
+  }
+
+  // Call stacks of all overrunning logic frames from one walk of the trace
+  const overrunStacks = getFoldedStacksInRanges(trace, overrunRanges);
+  overruns.forEach((overrun, index) => {
+    let topCycles = 0;
+    for (const [stack, cycles] of overrunStacks[index]) {
+      if (stack.split(";").includes(syncSymbol)) continue;
+      offenders.set(stack, (offenders.get(stack) || 0) + cycles);
+      if (cycles > topCycles) {
+        overrun.topStack = stack;
+        topCycles = cycles;
+      }
+    }
+  });
+
+  // Frames outside the logic frames, before the first and after the last
+  // sync call, or all of them when no logic frame was recorded
+  const unsyncedFrames = captures
+    .map((capture) => capture.frameNumber)
+    .filter((_, index) => index < firstSyncIndex || index > lastSyncIndex);
+
+  // Consecutive lag frames
+  const lagStreaks = getFrameRuns(lagFrames);
+
+  const syncsRecorded = syncCalls.filter((at) => {
+    const index = findCaptureIndex(captures, at);
+    return index >= 0 && index < captures.length;
+  }).length;
+
+  return {
+    syncSymbol,
+    targetFrames,
+    recordedFrames: captures.length,
+    logicFrames,
+    effectiveFps:
+      captures.length > 0
+        ? (syncsRecorded / captures.length) * VBLANKS_PER_SECOND
+        : 0,
+    syncFrames: [...syncFrames],
+    lagFrames,
+    lagStreaks,
+    unsyncedFrames,
+    unsyncedRuns: getFrameRuns(unsyncedFrames),
+    overruns,
+    offenders: [...offenders.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_OFFENDERS)
+      .map(([stack, cycles]) => ({ stack, cycles })),
+  };
+}
+
+/**
+ * Format pacing results as a text report
+ * @param {object} pacing - Result of analyzePacing
+ * @returns {string}
+ */
+function formatPacingReport(pacing) {
+  const lines = [
+    `Pacing (sync on ${pacing.syncSymbol}, target ${pacing.targetFrames} frame(s) per logic frame)`,
+    `* ${pacing.effectiveFps.toFixed(2)} fps, ${pacing.logicFrames} logic frames in ${pacing.recordedFrames} frames`,
+    `* ${pacing.lagFrames.length} lag frames in ${pacing.overruns.length} overrunning logic frames`,
+  ];
+  if (pacing.unsyncedFrames.length > 0) {
+    const runs = pacing.unsyncedRuns
+      .map(({ frameNumber, length }) =>
+        length > 1 ? `${frameNumber}-${frameNumber + length - 1}` : frameNumber,
+      )
+      .join(", ");
+    lines.push(
+      `* ${pacing.unsyncedFrames.length} frames in no logic frame, not checked for lag (frames ${runs})`,
+    );
+  }
+
+  const streaks = [...pacing.lagStreaks]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 5);
+  if (streaks.length > 0) {
+    lines.push("Longest lag streaks:");
+    for (const { frameNumber, length } of streaks) {
+      lines.push(`* ${length} frame(s) from frame ${frameNumber}`);
+    }
+  }
+
+  if (pacing.offenders.length > 0) {
+    lines.push("Worst offenders in overrunning logic frames (M-cycles):");
+    for (const { stack, cycles } of pacing.offenders) {
+      lines.push(`* ${String(Math.round(cycles / 4)).padStart(8)} ${stack}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  analyzePacing,
+  formatPacingReport,
+};
@@ -0,0 +1,43 @@
+/**
+ * Cartridge real-time clock
+ * MBC3 clocks count emulated time from a configurable start, so runs are
+ * reproducible whatever the time of day
+ */
+
+/**
+ * Parse an RTC start time
+ * - a number of seconds, e.g. `3600`
+ * - `[days:]hh:mm:ss`, e.g. `12:30:00` or `2:23:59:50`
+ * @param {string|number} value - Start time
+ * @returns {number} Seconds since day 0 00:00:00
+ */
+function parseRtcTime(value) {
+  if (typeof value === "number") {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid RTC time: ${value}`);
+    }
+    return value;
+  }
+
+  const spec = String(value).trim();
+  if (/^\d+$/.test(spec)) {
+    return Number(spec);
+  }
+
+  const match = spec.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}):(\d{1,2})$/);
+  if (match) {
+    const [, days = "0", hours, minutes, seconds] = match;
+    if (Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60) {
+      return (
+        ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 +
+        Number(seconds)
+      );
+    }
+  }
+
+  throw new Error(`Invalid RTC time: ${value}`);
+}
+
+module.exports = {
+  parseRtcTime,
+};
@@ -0,0 +1,70 @@
+/**
+ * Serial output
+ * Collects the bytes a game sends over the link port, such as printf
+ * output of debug builds, into text per frame and timestamped lines
+ */
+
+const { findCaptureIndex } = require("./speedscope");
+
+const NEWLINE = 10;
+const CARRIAGE_RETURN = 13;
+
+/**
+ * Analyse the serial output of a trace
+ * A line is timestamped with the newline completing it and belongs to the
+ * recorded frame that newline was sent in, a line started before recording
+ * keeps its start. Lines completed outside the recording are left out, as
+ * is a last line that is never completed
+ * @param {object} trace - Speedscope trace object
+ * @param {Array<{at: number, data: number}>} bytes - Bytes sent, recorded by the runner
+ * @returns {{frames: Array<{frameNumber: number, text: string}>, lines: Array<{at: number, frameNumber: number, text: string}>}} Text sent in each recorded frame with output and completed lines
+ */
+function analyzeSerialOutput(trace, bytes) {
+  const captures = trace.captures;
+  const frames = captures.map((capture) => ({
+    frameNumber: capture.frameNumber,
+    text: "",
+  }));
+  const lines = [];
+  let line = "";
+
+  for (const { at, data } of bytes) {
+    const index = findCaptureIndex(captures, at);
+    const recorded = index >= 0 && index < captures.length;
+    if (recorded) {
+      frames[index].text += String.fromCharCode(data);
+    }
+
+    if (data === NEWLINE) {
+      if (recorded) {
+        lines.push({ at, frameNumber: frames[index].frameNumber, text: line });
+      }
+      line = "";
+    } else if (data !== CARRIAGE_RETURN) {
+      line += String.fromCharCode(data);
+    }
+  }
+
+  return {
+    frames: frames.filter((frame) => frame.text.length > 0),
+    lines,
+  };
+}
+
+/**
+ * Format serial output as a text report
+ * @param {object} result - Result of analyzeSerialOutput
+ * @returns {string}
+ */
+function formatSerialReport(result) {
+  const lines = [`Serial output: ${result.lines.length} lines`];
+  for (const line of result.lines) {
+    lines.push(`* [frame ${line.frameNumber}] ${line.text}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  analyzeSerialOutput,
+  formatSerialReport,
+};
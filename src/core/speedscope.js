@@ -61,32 +61,37 @@ function addCloseEvent(trace, frameIndex, at, start) {
 /**
  * Add a frame capture to the trace
  * @param {object} trace - Speedscope trace object
- * @param {string} src - Path or data URL to the capture
+ * @param {string} [src] - Path or data URL to the capture, if an image was captured
  * @param {number} at - Timestamp
  * @param {number} frameNumber - Actual frame number
+ * @param {number} cycles - Length of the frame in CPU cycles
+ * @param {boolean} [doubleSpeed=false] - Whether the frame ran in CGB double speed mode
  */
-function addCapture(trace, src, at, frameNumber) {
-  trace.captures.push({
+function addCapture(trace, src, at, frameNumber, cycles, doubleSpeed = false) {
+  const capture = {
     src,
     at,
     frameNumber,
-  });
+    cycles,
+  };
+  if (doubleSpeed) {
+    capture.doubleSpeed = true;
+  }
+  trace.captures.push(capture);
 }
 
 /**
  * Finalize the trace (sort events and set end value)
  * @param {object} trace - Speedscope trace object
+ * @param {number} [captureStartTime] - Timestamp recording started at
  */
 function finalizeTrace(trace, captureStartTime) {
   const events = trace.profiles[0].events;
 
-  // Ensure a stable chronological order. If an open and close share the same
-  // timestamp, the open must come first to keep the stack valid.
-  events.sort((a, b) => {
-    if (a.at !== b.at) return a.at - b.at;
-    if (a.type === b.type) return 0;
-    return a.type === "O" ? -1 : 1;
-  });
+  // Ensure a stable chronological order. Events sharing a timestamp keep the
+  // order they were recorded in, which matches the call stack (a frame
+  // replaced by another at the same cycle closes before the new one opens).
+  events.sort((a, b) => a.at - b.at);
 
   // Filter speedscope events to exclude matching O/C pairs which end before start time.
   if (captureStartTime != null) {
@@ -125,6 +130,7 @@ function finalizeTrace(trace, captureStartTime) {
     }
 
     trace.profiles[0].events = events.filter((_, idx) => include[idx]);
+    trace.recordingStart = captureStartTime;
   }
 
   const includedEvents = trace.profiles[0].events;
@@ -174,6 +180,144 @@ function getEventsBetween(events, start, end) {
   return activeEvents.filter((ev) => ev.end > start && ev.start < end);
 }
 
+/**
+ * Find the recorded frame a timestamp falls in
+ * @param {Array<{at: number, cycles: number}>} captures - Trace captures
+ * @param {number} at - Timestamp
+ * @returns {number} Index in captures, -1 before the first and captures.length after the last
+ */
+function findCaptureIndex(captures, at) {
+  let lo = 0;
+  let hi = captures.length - 1;
+  let index = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (captures[mid].at <= at) {
+      index = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (index >= 0) {
+    const capture = captures[index];
+    if (at >= capture.at + capture.cycles) {
+      return index === captures.length - 1 ? captures.length : index;
+    }
+  }
+  return index;
+}
+
+/**
+ * Walk the events of a trace as a call stack, reporting each call clamped
+ * to a time range once it closes. Calls still open at the end of the range
+ * are closed there
+ * Calls are also split at the given timestamps, each part reported on its
+ * own, so the cycles of a walk can be attributed to frames or other ranges
+ * @param {object} trace - Speedscope trace object
+ * @param {function({frame: number, start: number, end: number, cycles: number, selfCycles: number, stack: number[]})} onClose - Called for each call overlapping the range, stack holds the frames of its callers
+ * @param {number} [start] - Start timestamp, defaults to the start of recording
+ * @param {number} [end] - End timestamp, defaults to the end of the trace
+ * @param {number[]} [splitAt=[]] - Sorted timestamps to split calls at
+ */
+function walkCallStacks(
+  trace,
+  onClose,
+  start = trace.recordingStart ?? -Infinity,
+  end = trace.profiles[0].endValue,
+  splitAt = [],
+) {
+  const stack = [];
+  let nextSplit = 0;
+
+  // Report the call at a stack index from when it opened or was last split
+  const report = (index, at) => {
+    const entry = stack[index];
+    const from = Math.max(entry.at, start);
+    const cycles = Math.max(0, Math.min(at, end) - from);
+    if (index > 0) {
+      stack[index - 1].childCycles += cycles;
+    }
+    if (cycles > 0) {
+      onClose({
+        frame: entry.frame,
+        start: from,
+        end: from + cycles,
+        cycles,
+        selfCycles: cycles - entry.childCycles,
+        stack: stack.slice(0, index).map((e) => e.frame),
+      });
+    }
+  };
+
+  const closeTop = (at) => {
+    report(stack.length - 1, at);
+    stack.pop();
+  };
+
+  // Report the open calls up to the splits before a timestamp, callees first
+  const splitUntil = (at) => {
+    while (nextSplit < splitAt.length && splitAt[nextSplit] <= at) {
+      const splitTime = splitAt[nextSplit++];
+      for (let i = stack.length - 1; i >= 0; i--) {
+        report(i, splitTime);
+      }
+      for (const entry of stack) {
+        entry.at = splitTime;
+        entry.childCycles = 0;
+      }
+    }
+  };
+
+  for (const event of trace.profiles[0].events) {
+    if (event.at > end) break;
+    splitUntil(event.at);
+
+    if (event.type === "O") {
+      stack.push({ frame: event.frame, at: event.at, childCycles: 0 });
+    } else if (event.type === "C") {
+      if (!stack.some((e) => e.frame === event.frame)) continue;
+      while (stack[stack.length - 1].frame !== event.frame) {
+        closeTop(event.at);
+      }
+      closeTop(event.at);
+    }
+  }
+
+  splitUntil(end);
+  while (stack.length > 0) {
+    closeTop(end);
+  }
+}
+
+/**
+ * Walk the events of a trace as a call stack with calls split at the
+ * recorded frames, attributing each part to the frame it ran in
+ * @param {object} trace - Speedscope trace object
+ * @param {function(object, number)} onClose - Called with each part of a call, see walkCallStacks, and the index in captures of its frame, -1 outside the recorded frames
+ * @param {Array<{at: number, cycles: number}>} [captures] - Sorted time ranges to split at instead of the recorded frames
+ */
+function walkCallStacksByCapture(
+  trace,
+  onClose,
+  captures = trace.captures || [],
+) {
+  walkCallStacks(
+    trace,
+    (call) => {
+      const index = findCaptureIndex(captures, call.start);
+      const recorded =
+        index >= 0 &&
+        index < captures.length &&
+        call.start < captures[index].at + captures[index].cycles;
+      onClose(call, recorded ? index : -1);
+    },
+    undefined,
+    undefined,
+    captures.flatMap((capture) => [capture.at, capture.at + capture.cycles]),
+  );
+}
+
 module.exports = {
   createSpeedscopeTrace,
   addOpenEvent,
@@ -181,4 +325,7 @@ module.exports = {
   addCapture,
   finalizeTrace,
   getEventsBetween,
+  findCaptureIndex,
+  walkCallStacks,
+  walkCallStacksByCapture,
 };
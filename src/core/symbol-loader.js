@@ -0,0 +1,143 @@
+/**
+ * Symbol file loader
+ * Detects and parses GBDK .noi, RGBDS/BGB .sym and WLA-DX .sym files
+ * into the symbol lookup used for function regions
+ */
+
+const { INTERRUPTS, parseNoi } = require("./noi-parser");
+
+const NOI_LINE = /^DEF\s+\S+\s+0x[0-9a-f]+\s*$/im;
+const SYM_LINE = /^([0-9a-f]{1,4}):([0-9a-f]{4})\s+(\S+)/i;
+const WLA_SECTION = /^\[([^\]]+)\]\s*$/;
+
+/**
+ * Create a lookup from parsed symbols, starting with the interrupt handlers
+ * and keeping only the first symbol at each address
+ * @param {Array<{symbol: string, addr: number, bank: number}>} symbols
+ * @returns {Array<{symbol: string, addr: number, bank: number}>}
+ */
+function createLookup(symbols) {
+  const result = INTERRUPTS.map((interrupt) => ({
+    symbol: interrupt.symbol,
+    addr: interrupt.addr,
+    bank: 0,
+  }));
+  const usedAddr = {};
+
+  for (const { symbol, addr, bank } of symbols) {
+    const key = `b${bank}_${addr}`;
+    if (!usedAddr[key]) {
+      result.push({ symbol, addr, bank });
+      usedAddr[key] = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a "BB:AAAA name" symbol line
+ * Local labels ("Function.loop", "@loop") belong to their parent
+ * function and are skipped
+ * @param {string} line
+ * @returns {{symbol: string, addr: number, bank: number}|null}
+ */
+function parseSymLine(line) {
+  const match = line.match(SYM_LINE);
+  if (!match) return null;
+
+  const [, bankStr, addrStr, symbol] = match;
+  if (symbol.lastIndexOf(".") > 0 || symbol.startsWith("@")) return null;
+
+  const addr = parseInt(addrStr, 16);
+  const bank = addr < 0x4000 ? 0 : parseInt(bankStr, 16);
+  return { symbol, addr, bank };
+}
+
+/**
+ * Parse an RGBDS or BGB .sym file
+ * @param {string} text - Content of the .sym file
+ * @returns {Array<{symbol: string, addr: number, bank: number}>}
+ */
+function parseRgbdsSym(text) {
+  const symbols = [];
+  for (const line of text.split(/\r?\n/)) {
+    const symbol = parseSymLine(line.replace(/;.*$/, "").trim());
+    if (symbol) {
+      symbols.push(symbol);
+    }
+  }
+  return createLookup(symbols);
+}
+
+/**
+ * Parse a WLA-DX .sym file
+ * Only the [labels] section holds addresses
+ * @param {string} text - Content of the .sym file
+ * @returns {Array<{symbol: string, addr: number, bank: number}>}
+ */
+function parseWlaSym(text) {
+  const symbols = [];
+  let section = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/;.*$/, "").trim();
+    const sectionMatch = line.match(WLA_SECTION);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      continue;
+    }
+    if (section !== "labels") continue;
+
+    const symbol = parseSymLine(line);
+    if (symbol) {
+      symbols.push(symbol);
+    }
+  }
+  return createLookup(symbols);
+}
+
+/**
+ * Detect the format of a symbol file
+ * @param {string} text - Symbol file content
+ * @returns {string} 'noi', 'wla' or 'rgbds'
+ */
+function detectSymbolFormat(text) {
+  if (NOI_LINE.test(text)) {
+    return "noi";
+  }
+  if (/^\[labels\]\s*$/im.test(text)) {
+    return "wla";
+  }
+  if (text.split(/\r?\n/).some((line) => SYM_LINE.test(line.trim()))) {
+    return "rgbds";
+  }
+  throw new Error("Unable to detect symbol file format");
+}
+
+/**
+ * Parse a symbol file, detecting its format unless given
+ * @param {string} text - Symbol file content
+ * @param {string} [format] - Explicit format: 'noi', 'rgbds', 'bgb' or 'wla'
+ * @returns {Array<{symbol: string, addr: number, bank: number}>}
+ */
+function loadSymbols(text, format) {
+  switch ((format || detectSymbolFormat(text)).toLowerCase()) {
+    case "noi":
+      return parseNoi(text);
+    case "rgbds":
+    case "bgb":
+      return parseRgbdsSym(text);
+    case "wla":
+      return parseWlaSym(text);
+    default:
+      throw new Error(`Unknown symbol format: ${format}`);
+  }
+}
+
+module.exports = {
+  parseRgbdsSym,
+  parseWlaSym,
+  detectSymbolFormat,
+  loadSymbols,
+};
@@ -0,0 +1,272 @@
+/**
+ * Trace comparison
+ * Compares the cycles spent in each function of two traces, matching
+ * functions by symbol name so traces from different builds can be compared
+ */
+
+const { walkCallStacksByCapture } = require("./speedscope");
+
+const DIFF_METRICS = ["total", "frame", "worst"];
+
+/**
+ * Add the cycles of a call to the totals of its function
+ * Recursive calls only count once towards the inclusive cycles
+ * @param {Map<string, {inclusive: number, self: number}>} functions - Cycles by function name
+ * @param {string[]} names - Function names by frame index
+ * @param {{frame: number, cycles: number, selfCycles: number, stack: number[]}} call - Call reported by walkCallStacksByCapture
+ */
+function addFunctionCycles(
+  functions,
+  names,
+  { frame, cycles, selfCycles, stack },
+) {
+  const name = names[frame];
+  if (!functions.has(name)) {
+    functions.set(name, { inclusive: 0, self: 0 });
+  }
+  const fn = functions.get(name);
+  fn.self += selfCycles;
+  if (!stack.some((caller) => names[caller] === name)) {
+    fn.inclusive += cycles;
+  }
+}
+
+/**
+ * Get the cycles of each function over the whole trace and per recorded frame
+ * The trace is walked once, calls spanning frames are split between them
+ * @param {object} trace - Speedscope trace object
+ * @returns {{totals: Map<string, {inclusive: number, self: number}>, frames: Array<{frameNumber: number, functions: Map<string, {inclusive: number, self: number}>}>}}
+ */
+function getTraceStats(trace) {
+  const names = trace.shared.frames.map((f) => f.name);
+  const totals = new Map();
+  const frames = (trace.captures || []).map((capture) => ({
+    frameNumber: capture.frameNumber,
+    functions: new Map(),
+  }));
+
+  walkCallStacksByCapture(trace, (call, index) => {
+    addFunctionCycles(totals, names, call);
+    if (index >= 0) {
+      addFunctionCycles(frames[index].functions, names, call);
+    }
+  });
+
+  return { totals, frames };
+}
+
+/**
+ * Summarise the cycles of one function in a trace
+ * @param {object} stats - Trace stats from getTraceStats
+ * @param {string} name - Function name
+ * @param {string} kind - "inclusive" or "self"
+ * @returns {{total: number, frame: number|null, worst: number|null, worstFrame: number|null}}
+ */
+function summariseFunction(stats, name, kind) {
+  const total = stats.totals.get(name)?.[kind] || 0;
+  if (stats.frames.length === 0) {
+    return { total, frame: null, worst: null, worstFrame: null };
+  }
+
+  let worst = -1;
+  let worstFrame = null;
+  for (const { frameNumber, functions } of stats.frames) {
+    const cycles = functions.get(name)?.[kind] || 0;
+    if (cycles > worst) {
+      worst = cycles;
+      worstFrame = frameNumber;
+    }
+  }
+
+  return { total, frame: total / stats.frames.length, worst, worstFrame };
+}
+
+/**
+ * Compare the function cycles of two traces
+ * Per frame values are averages over the recorded frames, they are null when
+ * a trace has no frame captures
+ * @param {object} oldTrace - Speedscope trace of the baseline
+ * @param {object} newTrace - Speedscope trace to compare against the baseline
+ * @returns {{oldFrames: number, newFrames: number, functions: Array<{name: string, inclusive: {old: object, new: object}, self: {old: object, new: object}}>}}
+ */
+function diffTraces(oldTrace, newTrace) {
+  const oldStats = getTraceStats(oldTrace);
+  const newStats = getTraceStats(newTrace);
+  const names = new Set([...oldStats.totals.keys(), ...newStats.totals.keys()]);
+
+  const functions = [...names].map((name) => ({
+    name,
+    inclusive: {
+      old: summariseFunction(oldStats, name, "inclusive"),
+      new: summariseFunction(newStats, name, "inclusive"),
+    },
+    self: {
+      old: summariseFunction(oldStats, name, "self"),
+      new: summariseFunction(newStats, name, "self"),
+    },
+  }));
+
+  return {
+    oldFrames: oldStats.frames.length,
+    newFrames: newStats.frames.length,
+    functions,
+  };
+}
+
+/**
+ * Get the change of a metric for a function in a diff
+ * @param {object} fn - Function entry from diffTraces
+ * @param {object} [options]
+ * @param {string} [options.metric="frame"] - "total", "frame" (average per frame) or "worst" (worst frame)
+ * @param {boolean} [options.self=false] - Compare self cycles instead of inclusive cycles
+ * @returns {{old: number, new: number, delta: number, percent: number}|null} Null when the metric is unavailable
+ */
+function getMetricDelta(fn, options = {}) {
+  const metric = options.metric || "frame";
+  const values = options.self ? fn.self : fn.inclusive;
+  const oldValue = values.old[metric];
+  const newValue = values.new[metric];
+  if (oldValue === null || newValue === null) {
+    return null;
+  }
+
+  const delta = newValue - oldValue;
+  let percent = 0;
+  if (oldValue > 0) {
+    percent = (delta / oldValue) * 100;
+  } else if (newValue > 0) {
+    percent = Infinity;
+  }
+
+  return { old: oldValue, new: newValue, delta, percent };
+}
+
+/**
+ * Find the functions whose cycles grew more than the thresholds allow
+ * When both thresholds are set a function has to exceed both of them, so
+ * small functions aren't flagged for large percentage changes. Per frame
+ * metrics throw when a trace has no recorded frames, rather than passing
+ * a check they cannot make
+ * @param {object} diff - Result of diffTraces
+ * @param {object} options
+ * @param {string} [options.metric="frame"] - Metric compared, see getMetricDelta
+ * @param {boolean} [options.self=false] - Compare self cycles instead of inclusive cycles
+ * @param {number} [options.thresholdPercent] - Allowed increase in percent
+ * @param {number} [options.thresholdMcycles] - Allowed increase in M-cycles
+ * @returns {Array<{name: string, old: number, new: number, delta: number, percent: number}>} Regressions, largest first
+ */
+function findRegressions(diff, options) {
+  const { thresholdPercent, thresholdMcycles } = options;
+  if (thresholdPercent == null && thresholdMcycles == null) {
+    return [];
+  }
+
+  const metric = options.metric || "frame";
+  if (metric !== "total" && (diff.oldFrames === 0 || diff.newFrames === 0)) {
+    const trace = diff.oldFrames === 0 ? "old" : "new";
+    throw new Error(
+      `The ${trace} trace has no recorded frames to compare the ${metric} metric, use --metric total`,
+    );
+  }
+
+  const regressions = [];
+  for (const fn of diff.functions) {
+    const change = getMetricDelta(fn, options);
+    if (!change || change.delta <= 0) continue;
+    if (thresholdPercent != null && change.percent <= thresholdPercent) {
+      continue;
+    }
+    if (thresholdMcycles != null && change.delta / 4 <= thresholdMcycles) {
+      continue;
+    }
+    regressions.push({ name: fn.name, ...change });
+  }
+
+  return regressions.sort((a, b) => b.delta - a.delta);
+}
+
+/**
+ * Format a change in M-cycles with its sign and percentage
+ * @param {{delta: number, percent: number}|null} change - Result of getMetricDelta
+ * @returns {string}
+ */
+function formatChange(change) {
+  if (!change) {
+    return "-";
+  }
+  const mcycles = Math.round(change.delta / 4);
+  const percent = Number.isFinite(change.percent)
+    ? `${change.percent >= 0 ? "+" : ""}${change.percent.toFixed(1)}%`
+    : "new";
+  return `${mcycles >= 0 ? "+" : ""}${mcycles} (${percent})`;
+}
+
+/**
+ * Format a diff as a text table of M-cycle changes
+ * Functions are listed by the size of the change of the selected metric
+ * @param {object} diff - Result of diffTraces
+ * @param {object} [options]
+ * @param {string} [options.metric="frame"] - Metric to sort by, see getMetricDelta
+ * @param {boolean} [options.self=false] - Sort by self cycles instead of inclusive cycles
+ * @param {number} [options.limit=20] - Number of functions to list
+ * @returns {string}
+ */
+function formatDiffReport(diff, options = {}) {
+  const limit = options.limit ?? 20;
+  const columns = [];
+  for (const self of [false, true]) {
+    for (const metric of DIFF_METRICS) {
+      columns.push({
+        title: `${self ? "Self" : "Incl"} ${metric}`,
+        metric,
+        self,
+      });
+    }
+  }
+
+  const functions = diff.functions
+    .map((fn) => ({ fn, change: getMetricDelta(fn, options) }))
+    .filter(({ change }) => !change || change.delta !== 0)
+    .sort(
+      (a, b) =>
+        Math.abs(b.change?.delta || 0) - Math.abs(a.change?.delta || 0) ||
+        (a.fn.name < b.fn.name ? -1 : 1),
+    )
+    .slice(0, limit)
+    .map(({ fn }) => [
+      fn.name,
+      ...columns.map((column) => formatChange(getMetricDelta(fn, column))),
+    ]);
+
+  const rows = [["Function", ...columns.map((c) => c.title)], ...functions];
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => row[i].length)),
+  );
+
+  const lines = [
+    `Frames: ${diff.oldFrames} -> ${diff.newFrames}, changes in M-cycles (frame = average per frame, worst = worst frame)`,
+    "",
+  ];
+  for (const row of rows) {
+    lines.push(
+      row
+        .map((cell, i) =>
+          i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]),
+        )
+        .join("  "),
+    );
+  }
+  if (functions.length === 0) {
+    lines.push("No changes");
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  DIFF_METRICS,
+  diffTraces,
+  getMetricDelta,
+  findRegressions,
+  formatDiffReport,
+};
@@ -0,0 +1,79 @@
+/**
+ * Recording triggers
+ * Start or stop recording on a function call, a function return or a RAM condition
+ */
+
+const RAM_OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+/**
+ * Parse a trigger description
+ * - `call:<symbol>` fires when the function is called
+ * - `return:<symbol>` fires when the function returns
+ * - `ram:<symbol|address><op><value>` fires at the end of a frame where the
+ *   byte at the RAM symbol or address compares true (op is ==, !=, <, <=, > or >=)
+ * @param {string|object} spec - Trigger string or an already parsed trigger
+ * @returns {{type: string, symbol?: string, address?: number, op?: string, value?: number}}
+ */
+function parseTrigger(spec) {
+  if (typeof spec === "object") {
+    return spec;
+  }
+
+  const fnMatch = spec.trim().match(/^(call|return):(\S+)$/);
+  if (fnMatch) {
+    return { type: fnMatch[1], symbol: fnMatch[2] };
+  }
+
+  const ramMatch = spec
+    .trim()
+    .match(/^ram:([^=!<>\s]+)\s*(==|!=|<=|>=|<|>)\s*(0x[0-9a-f]+|\d+)$/i);
+  if (ramMatch) {
+    const [, target, op, value] = ramMatch;
+    const trigger = { type: "ram", op, value: Number(value) };
+    if (/^0x[0-9a-f]+$/i.test(target)) {
+      trigger.address = parseInt(target, 16);
+    } else {
+      trigger.symbol = target;
+    }
+    return trigger;
+  }
+
+  throw new Error(`Invalid trigger: ${spec}`);
+}
+
+/**
+ * Check a RAM trigger against the current memory contents
+ * @param {{address: number, op: string, value: number}} trigger - Resolved RAM trigger
+ * @param {function(number): number} readByte - Memory read function
+ * @returns {boolean}
+ */
+function testRamTrigger(trigger, readByte) {
+  return RAM_OPERATORS[trigger.op](readByte(trigger.address), trigger.value);
+}
+
+/**
+ * Describe a trigger for log messages
+ * @param {object} trigger - Parsed trigger
+ * @returns {string}
+ */
+function formatTrigger(trigger) {
+  if (trigger.type === "ram") {
+    const target =
+      trigger.symbol || `0x${trigger.address.toString(16).padStart(4, "0")}`;
+    return `ram:${target}${trigger.op}${trigger.value}`;
+  }
+  return `${trigger.type}:${trigger.symbol}`;
+}
+
+module.exports = {
+  parseTrigger,
+  testRamTrigger,
+  formatTrigger,
+};
@@ -41,8 +41,10 @@ var GameboyJS;
 
     this.r = { A: 0, F: 0, B: 0, C: 0, D: 0, E: 0, H: 0, L: 0, pc: 0, sp: 0 };
     this.IME = true;
-    this.clock = { c: 0, serial: 0 };
+    this.clock = { c: 0, serial: 0, lastFrame: 0 };
     this.isHalted = false;
+    this.isStopped = false;
+    this.doubleSpeed = false;
     this.isPaused = false;
     this.usingBootRom = false;
 
@@ -86,6 +88,7 @@ var GameboyJS;
 
   CPU.prototype.reset = function () {
     this.memory.reset();
+    this.apu.reset();
 
     this.r.sp = 0xfffe;
   };
@@ -106,6 +109,12 @@ var GameboyJS;
       case 3:
         size = 2048 * 16;
         break;
+      case 4:
+        size = 2048 * 64;
+        break;
+      case 5:
+        size = 2048 * 32;
+        break;
     }
 
     return size;
@@ -127,6 +136,11 @@ var GameboyJS;
       this.r.pc = 0x0000;
     } else {
       this.r.pc = 0x0100;
+      if (this.memory.cgb) {
+        // The CGB boot ROM hands over with A = 0x11, which games
+        // check to enable their color features
+        this.r.A = 0x11;
+      }
     }
     this.frame();
   };
@@ -142,6 +156,10 @@ var GameboyJS;
   // is considered the end of a frame
   //
   // The function is called on a regular basis with a timeout
+  //
+  // The CPU clock counts CPU cycles, so in CGB double speed mode
+  // a frame lasts twice as many cycles while the GPU still
+  // advances at normal speed
   CPU.prototype.frame = function () {
     if (!this.isPaused) {
       this.nextFrameTimer = setTimeout(
@@ -154,7 +172,10 @@ var GameboyJS;
       var vblank = false;
       while (!vblank) {
         var oldInstrCount = this.clock.c;
-        if (!this.isHalted) {
+        if (this.memory.hdmaPending) {
+          // CPU is stalled while the HBlank DMA block is copied
+          this.memory.hdmaTransferBlock();
+        } else if (!this.isHalted && !this.isStopped) {
           if (this.onBeforeInstruction) {
             this.onBeforeInstruction();
           }
@@ -173,16 +194,21 @@ var GameboyJS;
             }
           }
         } else {
+          // Idle until an interrupt (HALT) or a button press (STOP)
           this.clock.c += 4;
         }
 
         var elapsed = this.clock.c - oldInstrCount;
-        vblank = this.gpu.update(elapsed);
+        vblank = this.gpu.update(this.doubleSpeed ? elapsed >> 1 : elapsed);
         this.timer.update(elapsed);
+        if (this.memory.mbc.rtc) {
+          this.memory.mbc.rtc.update(this.doubleSpeed ? elapsed >> 1 : elapsed);
+        }
         this.input.update();
-        // this.apu.update(elapsed);
+        this.apu.update(this.doubleSpeed ? elapsed >> 1 : elapsed);
         this.checkInterrupt();
       }
+      this.clock.lastFrame = this.clock.c;
       this.clock.c = 0;
     } catch (e) {
       this.gameboy.handleException(e);
@@ -224,11 +250,73 @@ var GameboyJS;
     this.r[register] = value;
   };
 
+  // The onHalt and onWake hooks are called with "halt" or "stop"
   CPU.prototype.halt = function () {
     this.isHalted = true;
+    if (this.onHalt) {
+      this.onHalt("halt");
+    }
   };
   CPU.prototype.unhalt = function () {
-    this.isHalted = false;
+    if (this.isHalted) {
+      this.isHalted = false;
+      if (this.onWake) {
+        this.onWake("halt");
+      }
+    }
+  };
+  // STOP mode only ends on a button press, the screen keeps running here
+  CPU.prototype.enterStopMode = function () {
+    this.isStopped = true;
+    if (this.onHalt) {
+      this.onHalt("stop");
+    }
+  };
+  CPU.prototype.exitStopMode = function () {
+    if (this.isStopped) {
+      this.isStopped = false;
+      if (this.onWake) {
+        this.onWake("stop");
+      }
+    }
+  };
+  // Debug instructions understood by emulators such as BGB and no$gmb
+  // LD B,B is a source code breakpoint, it calls the onBreakpoint hook
+  CPU.prototype.debugBreakpoint = function () {
+    if (this.onBreakpoint) {
+      this.onBreakpoint();
+    }
+  };
+  // LD D,D is followed by a debug message when it's a JR over the 0x6464
+  // and 0x0000 words and the text, the onDebugMessage hook gets the text
+  CPU.prototype.debugMessage = function () {
+    if (!this.onDebugMessage) {
+      return;
+    }
+    var pc = this.r.pc;
+    var memory = this.memory;
+    var length = memory.rb(pc + 1);
+    if (
+      memory.rb(pc) != 0x18 ||
+      length < 4 ||
+      length >= 0x80 ||
+      memory.rb(pc + 2) != 0x64 ||
+      memory.rb(pc + 3) != 0x64 ||
+      memory.rb(pc + 4) != 0 ||
+      memory.rb(pc + 5) != 0
+    ) {
+      return;
+    }
+    var text = "";
+    for (var addr = pc + 6; addr < pc + 2 + length; addr++) {
+      text += String.fromCharCode(memory.rb(addr));
+    }
+    this.onDebugMessage(text);
+  };
+  // Toggle CGB double speed mode, armed by writing KEY1 before STOP
+  CPU.prototype.switchSpeed = function () {
+    this.doubleSpeed = !this.doubleSpeed;
+    this.memory[0xff4d] = this.doubleSpeed ? 0xfe : 0x7e;
   };
   CPU.prototype.pause = function () {
     this.isPaused = true;
@@ -261,9 +349,13 @@ var GameboyJS;
     }
   };
 
-  // Set an interrupt flag
+  // Set an interrupt flag, the onRequestInterrupt hook is called when the
+  // flag was not already set
   CPU.prototype.requestInterrupt = function (type) {
     var IFval = this.memory.rb(0xff0f);
+    if (this.onRequestInterrupt && !GameboyJS.Util.readBit(IFval, type)) {
+      this.onRequestInterrupt(type);
+    }
     IFval |= 1 << type;
     this.memory.wb(0xff0f, IFval);
     this.unhalt();
@@ -299,6 +391,29 @@ var GameboyJS;
   CPU.prototype.resetDivTimer = function () {
     this.timer.resetDiv();
   };
+
+  // Save state of the registers and CPU flags
+  CPU.prototype.getState = function () {
+    return {
+      r: GameboyJS.Util.extend({}, this.r),
+      IME: this.IME,
+      isHalted: this.isHalted,
+      isStopped: this.isStopped,
+      doubleSpeed: this.doubleSpeed,
+      enableSerial: this.enableSerial,
+      clock: GameboyJS.Util.extend({}, this.clock),
+    };
+  };
+
+  CPU.prototype.setState = function (state) {
+    GameboyJS.Util.extend(this.r, state.r);
+    GameboyJS.Util.extend(this.clock, state.clock);
+    this.IME = state.IME;
+    this.isHalted = state.isHalted;
+    this.isStopped = !!state.isStopped;
+    this.doubleSpeed = state.doubleSpeed;
+    this.enableSerial = state.enableSerial;
+  };
   GameboyJS.CPU = CPU;
 })(GameboyJS || (GameboyJS = {}));
 
@@ -317,7 +432,7 @@ var GameboyJS;
       if ((i & 0x1) == 0) {
         str += " ";
       }
-      var val = memory[i] || 0;
+      var val = memory.rb(i) || 0;
 
       val = val.toString(16);
       str += pad.substring(val.length) + val;
@@ -412,6 +527,11 @@ var GameboyJS;
     this.buffer = new Array(Screen.physics.WIDTH * Screen.physics.HEIGHT);
     this.tileBuffer = new Array(8);
     this.bgTileCache = {};
+
+    // CGB rendering state
+    this.windowLine = 0;
+    this.linePriority = new Uint8Array(Screen.physics.WIDTH);
+    this.spriteLineMask = new Uint8Array(Screen.physics.WIDTH);
   };
 
   GPU.tilemap = {
@@ -465,6 +585,7 @@ var GameboyJS;
           this.clock -= 172;
           this.drawScanLine(this.line);
           this.setMode(0);
+          this.cpu.memory.hblank();
         }
         break;
     }
@@ -503,7 +624,9 @@ var GameboyJS;
   GPU.prototype.drawScanLine = function (line) {
     var LCDC = this.deviceram(this.LCDC);
     var enable = GameboyJS.Util.readBit(LCDC, 7);
-    if (enable) {
+    if (enable && this.cpu.memory.cgb) {
+      this.drawScanLineCgb(LCDC, line);
+    } else if (enable) {
       var lineBuffer = new Array(Screen.physics.WIDTH);
       this.drawBackground(LCDC, line, lineBuffer);
       this.drawSprites(LCDC, line, lineBuffer);
@@ -514,11 +637,12 @@ var GameboyJS;
   GPU.prototype.drawFrame = function () {
     var LCDC = this.deviceram(this.LCDC);
     var enable = GameboyJS.Util.readBit(LCDC, 7);
-    if (enable) {
+    if (enable && !this.cpu.memory.cgb) {
       //this.drawSprites(LCDC);
       this.drawWindow(LCDC);
     }
     this.bgTileCache = {};
+    this.windowLine = 0;
     this.screen.render(this.buffer);
   };
 
@@ -793,6 +917,152 @@ var GameboyJS;
     }
   };
 
+  // Draw a full CGB scanline: background, window then sprites
+  // In CGB mode the buffer holds 15 bits RGB colors instead of shades
+  GPU.prototype.drawScanLineCgb = function (LCDC, line) {
+    var width = Screen.physics.WIDTH;
+    var bgMap = GameboyJS.Util.readBit(LCDC, 3)
+      ? GPU.tilemap.START_1
+      : GPU.tilemap.START_0;
+    var windowMap = GameboyJS.Util.readBit(LCDC, 6)
+      ? GPU.tilemap.START_1
+      : GPU.tilemap.START_0;
+
+    var bgx = this.deviceram(this.SCX);
+    var bgy = this.deviceram(this.SCY);
+    var wx = this.deviceram(this.WX) - 7;
+    var wy = this.deviceram(this.WY);
+    var windowVisible =
+      GameboyJS.Util.readBit(LCDC, 5) && line >= wy && wx < width;
+    var bgEnd = windowVisible ? Math.max(0, wx) : width;
+
+    this.drawMapLineCgb(LCDC, bgMap, 0, bgEnd, bgx, (line + bgy) & 0xff, line);
+    if (windowVisible) {
+      this.drawMapLineCgb(
+        LCDC,
+        windowMap,
+        bgEnd,
+        width,
+        bgEnd - wx,
+        this.windowLine,
+        line
+      );
+      this.windowLine++;
+    }
+    this.drawSpritesCgb(LCDC, line);
+  };
+
+  // Draw pixels xStart to xEnd of a scanline from a tilemap, using the
+  // tile attributes (palette, bank, flips, priority) from VRAM bank 1
+  GPU.prototype.drawMapLineCgb = function (
+    LCDC,
+    mapStart,
+    xStart,
+    xEnd,
+    mapX,
+    mapY,
+    line
+  ) {
+    var unsignedIndex = GameboyJS.Util.readBit(LCDC, 4);
+    var palette = this.cpu.memory.bgPalette;
+    var rowStart = mapStart + ((mapY >> 3) & 0x1f) * GPU.tilemap.WIDTH;
+
+    for (var x = xStart; x < xEnd; x++, mapX++) {
+      var mapAddr = rowStart + ((mapX >> 3) & 0x1f);
+      var tileIndex = this.vram(mapAddr, 0);
+      var attr = this.vram(mapAddr, 1);
+      var tileAddr = unsignedIndex
+        ? 0x8000 + tileIndex * 0x10
+        : 0x9000 + GameboyJS.Util.getSignedValue(tileIndex) * 0x10;
+      var tileLine = attr & 0x40 ? 7 - (mapY & 7) : mapY & 7;
+      var bit = attr & 0x20 ? mapX & 7 : 7 - (mapX & 7);
+      var color = this.readTilePixel(
+        tileAddr + tileLine * 2,
+        (attr >> 3) & 1,
+        bit
+      );
+
+      this.drawPixel(x, line, GPU.getCgbColor(palette, attr & 7, color));
+      // bit 0: opaque background pixel, bit 1: background has priority
+      this.linePriority[x] = (color ? 1 : 0) | (attr & 0x80 ? 2 : 0);
+    }
+  };
+
+  // Draw the sprites of a CGB scanline
+  // Unlike DMG, overlapping sprites are prioritized by OAM order
+  GPU.prototype.drawSpritesCgb = function (LCDC, line) {
+    if (!GameboyJS.Util.readBit(LCDC, 1)) {
+      return;
+    }
+    var width = Screen.physics.WIDTH;
+    var spriteHeight = GameboyJS.Util.readBit(LCDC, 2) ? 16 : 8;
+    // LCDC bit 0 is the BG master priority in CGB mode
+    var masterPriority = GameboyJS.Util.readBit(LCDC, 0);
+    var palette = this.cpu.memory.objPalette;
+    var drawn = this.spriteLineMask;
+    drawn.fill(0);
+
+    var count = 0;
+    for (var i = this.OAM_START; i < this.OAM_END && count < 10; i += 4) {
+      var y = this.oamram(i) - 16;
+      if (line < y || line >= y + spriteHeight) {
+        continue;
+      }
+      count++;
+
+      var x = this.oamram(i + 1) - 8;
+      var index = this.oamram(i + 2);
+      var flags = this.oamram(i + 3);
+      if (spriteHeight == 16) {
+        index &= 0xfe;
+      }
+      var tileLine = flags & 0x40 ? spriteHeight - 1 - (line - y) : line - y;
+      var tileAddr = 0x8000 + index * 0x10 + tileLine * 2;
+      var bank = (flags >> 3) & 1;
+
+      for (var px = 0; px < 8; px++) {
+        var sx = x + px;
+        if (sx < 0 || sx >= width || drawn[sx]) continue;
+        var color = this.readTilePixel(
+          tileAddr,
+          bank,
+          flags & 0x20 ? px : 7 - px
+        );
+        if (color == 0) continue;
+        drawn[sx] = 1;
+
+        var bgPixel = this.linePriority[sx];
+        if (masterPriority && bgPixel & 1 && (bgPixel & 2 || flags & 0x80)) {
+          continue;
+        }
+        this.drawPixel(sx, line, GPU.getCgbColor(palette, flags & 7, color));
+      }
+    }
+  };
+
+  // Read the 2 bits color of a tile pixel from a VRAM bank
+  GPU.prototype.readTilePixel = function (lineAddr, bank, bit) {
+    var b1 = this.vram(lineAddr, bank);
+    var b2 = this.vram(lineAddr + 1, bank);
+    return ((b1 >> bit) & 1) | (((b2 >> bit) & 1) << 1);
+  };
+
+  GPU.prototype.getState = function () {
+    return {
+      clock: this.clock,
+      mode: this.mode,
+      line: this.line,
+      windowLine: this.windowLine,
+    };
+  };
+
+  GPU.prototype.setState = function (state) {
+    this.clock = state.clock;
+    this.mode = state.mode;
+    this.line = state.line;
+    this.windowLine = state.windowLine;
+  };
+
   GPU.prototype.drawPixel = function (x, y, color) {
     this.buffer[y * 160 + x] = color;
   };
@@ -813,6 +1083,12 @@ var GameboyJS;
     return palette;
   };
 
+  // Get the 15 bits RGB value of a color in CGB palette memory
+  GPU.getCgbColor = function (paletteData, paletteNumber, color) {
+    var i = paletteNumber * 8 + color * 2;
+    return paletteData[i] | (paletteData[i + 1] << 8);
+  };
+
   GameboyJS.GPU = GPU;
 })(GameboyJS || (GameboyJS = {}));
 
@@ -825,11 +1101,18 @@ var GameboyJS;
     this.context = canvas.getContext("2d");
     this.canvas = canvas;
     this.pixelSize = pixelSize || 1;
+    this.cgb = false;
     this.initImageData();
   };
 
   Screen.colors = [0xff, 0xaa, 0x55, 0x00];
 
+  // Expand a 5 bits CGB color channel to 8 bits
+  Screen.cgbChannel = function (value) {
+    value &= 0x1f;
+    return (value << 3) | (value >> 2);
+  };
+
   Screen.physics = {
     WIDTH: 160,
     HEIGHT: 144,
@@ -867,10 +1150,19 @@ var GameboyJS;
         for (var x = 0; x < Screen.physics.WIDTH; x++) {
           for (var px = 0; px < this.pixelSize; px++) {
             var offset = _y * this.canvas.width + (x * this.pixelSize + px);
-            var v = Screen.colors[buffer[y * Screen.physics.WIDTH + x]];
-            this.imageData.data[offset * 4] = v;
-            this.imageData.data[offset * 4 + 1] = v;
-            this.imageData.data[offset * 4 + 2] = v;
+            var value = buffer[y * Screen.physics.WIDTH + x];
+            var r, g, b;
+            if (this.cgb) {
+              // buffer holds 15 bits RGB colors
+              r = Screen.cgbChannel(value);
+              g = Screen.cgbChannel(value >> 5);
+              b = Screen.cgbChannel(value >> 10);
+            } else {
+              r = g = b = Screen.colors[value];
+            }
+            this.imageData.data[offset * 4] = r;
+            this.imageData.data[offset * 4 + 1] = g;
+            this.imageData.data[offset * 4 + 2] = b;
             this.imageData.data[offset * 4 + 3] = 255;
           }
         }
@@ -946,6 +1238,30 @@ var GameboyJS;
     return this.extRam[this.ramBank * 8192 + offset];
   };
 
+  ExtRam.prototype.getState = function () {
+    return {
+      ramBank: this.ramBank,
+      data: GameboyJS.Util.bytesToHex(this.extRam),
+    };
+  };
+
+  ExtRam.prototype.setState = function (state) {
+    this.ramBank = state.ramBank;
+    this.extRam = Array.from(GameboyJS.Util.hexToBytes(state.data));
+  };
+
+  // Battery save (.sav) data, a shorter save is zero-filled and extra bytes
+  // (such as the MBC3 clock some emulators append) are ignored
+  ExtRam.prototype.getRamData = function () {
+    return Uint8Array.from(this.extRam);
+  };
+
+  ExtRam.prototype.setRamData = function (data) {
+    for (var i = 0; i < this.ramSize; i++) {
+      this.extRam[i] = i < data.length ? data[i] : 0;
+    }
+  };
+
   ExtRam.prototype.getStorageKey = function () {
     return this.gameName + "_EXTRAM";
   };
@@ -1082,6 +1398,7 @@ var GameboyJS;
   Input.prototype.pressKey = function (key) {
     this.state |= Input.keys[key];
 
+    this.cpu.exitStopMode();
     this.cpu.requestInterrupt(GameboyJS.CPU.INTERRUPTS.HILO);
   };
 
@@ -1090,6 +1407,14 @@ var GameboyJS;
     this.state &= mask;
   };
 
+  Input.prototype.getState = function () {
+    return { state: this.state };
+  };
+
+  Input.prototype.setState = function (state) {
+    this.state = state.state;
+  };
+
   Input.prototype.update = function () {
     var value = this.memory.rb(this.P1);
     value = ~value & 0x30; // invert the value so 1 means 'active'
@@ -1898,8 +2223,17 @@ var GameboyJS;
       p.clock.c += 4;
     },
     HALT: function (p) {
+      p.clock.c += 4;
       p.halt();
+    },
+    STOP: function (p) {
+      p.r.pc++;
       p.clock.c += 4;
+      if (p.memory.cgb && p.memory[0xff4d] & 0x01) {
+        p.switchSpeed();
+      } else {
+        p.enterStopMode();
+      }
     },
     DI: function (p) {
       p.disableInterrupts();
@@ -1994,6 +2328,7 @@ var GameboyJS;
     this.cpu.reset();
     try {
       this.cpu.loadRom(rom.data);
+      this.screen.cgb = this.cpu.memory.cgb;
       this.setStatus("Game Running :");
       this.setGameName(this.cpu.getGameName());
       this.cpu.run();
@@ -2002,6 +2337,60 @@ var GameboyJS;
     }
   };
 
+  // Save the full machine state as a JSON serializable object
+  Gameboy.prototype.getState = function () {
+    var cpu = this.cpu;
+    return {
+      version: Gameboy.STATE_VERSION,
+      game: cpu.getGameName(),
+      cpu: cpu.getState(),
+      memory: cpu.memory.getState(),
+      gpu: cpu.gpu.getState(),
+      timer: cpu.timer.getState(),
+      apu: cpu.apu.getState(),
+      input: this.input.getState(),
+    };
+  };
+
+  // Restore a state from getState(), the matching ROM must be running
+  Gameboy.prototype.setState = function (state) {
+    var cpu = this.cpu;
+    if (state.version !== Gameboy.STATE_VERSION) {
+      throw new Error("Unsupported save state version " + state.version);
+    }
+    if (state.game !== cpu.getGameName()) {
+      throw new Error(
+        "Save state was made with a different ROM (" + state.game.trim() + ")"
+      );
+    }
+    cpu.setState(state.cpu);
+    cpu.memory.setState(state.memory);
+    cpu.gpu.setState(state.gpu);
+    cpu.timer.setState(state.timer);
+    cpu.apu.setState(state.apu);
+    this.input.setState(state.input);
+  };
+
+  Gameboy.STATE_VERSION = 3;
+
+  // Battery backed cartridge RAM, null when the cartridge has none
+  Gameboy.prototype.getSaveRam = function () {
+    var mbc = this.cpu.memory.mbc;
+    if (!mbc.extRam || mbc.extRam.ramSize === 0) {
+      return null;
+    }
+    return mbc.extRam.getRamData();
+  };
+
+  // Load a battery save into the cartridge RAM of the running ROM
+  Gameboy.prototype.loadSaveRam = function (data) {
+    var mbc = this.cpu.memory.mbc;
+    if (!mbc.extRam || mbc.extRam.ramSize === 0) {
+      throw new Error("The cartridge has no RAM to load a save into");
+    }
+    mbc.extRam.setRamData(data);
+  };
+
   Gameboy.prototype.pause = function (value) {
     if (value) {
       this.setStatus("Game Paused :");
@@ -2075,20 +2464,34 @@ var GameboyJS;
       case 0x03:
         instance = new MBC1(memory);
         break;
+      case 0x05:
+      case 0x06:
+        instance = new MBC2(memory);
+        break;
       case 0x0f:
       case 0x10:
+        instance = new MBC3(memory, true);
+        break;
       case 0x11:
       case 0x12:
       case 0x13:
-        instance = new MBC3(memory);
+        instance = new MBC3(memory, false);
         break;
       case 0x19:
       case 0x1a:
       case 0x1b:
+        instance = new MBC5(memory, false);
+        break;
       case 0x1c:
       case 0x1d:
       case 0x1e:
-        instance = new MBC5(memory);
+        instance = new MBC5(memory, true);
+        break;
+      case 0x22:
+        instance = new MBC7(memory);
+        break;
+      case 0xff:
+        instance = new HuC1(memory);
         break;
       default:
         throw new GameboyJS.UnimplementedException("MBC type not supported");
@@ -2151,12 +2554,196 @@ var GameboyJS;
   MBC1.prototype.readRam = function (addr) {
     return this.extRam.manageRead(addr - 0xa000);
   };
+  MBC1.prototype.getState = function () {
+    return {
+      romBankNumber: this.romBankNumber,
+      mode: this.mode,
+      ramEnabled: this.ramEnabled,
+      extRam: this.extRam.getState(),
+    };
+  };
+  MBC1.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.mode = state.mode;
+    this.ramEnabled = state.ramEnabled;
+    this.extRam.setState(state.extRam);
+  };
+
+  // MBC2 has 512 half-bytes of RAM built in, repeated over the whole
+  // cartridge RAM area. Bit 8 of the address selects between the RAM
+  // enable and ROM bank registers
+  var MBC2 = function (memory) {
+    this.memory = memory;
+    this.romBankNumber = 1;
+    this.ramEnabled = true;
+    this.extRam = new GameboyJS.ExtRam();
+  };
+
+  MBC2.prototype.loadRam = function (game) {
+    this.extRam.loadRam(game, 512);
+  };
+
+  MBC2.prototype.manageWrite = function (addr, value) {
+    if (addr < 0x4000) {
+      if (addr & 0x100) {
+        this.romBankNumber = this.memory.mapRomBank(value & 0x0f || 1);
+      } else {
+        this.ramEnabled = (value & 0x0f) == 0x0a;
+        if (this.ramEnabled) {
+          this.extRam.saveRamData();
+        }
+      }
+    } else if (addr >= 0xa000 && addr < 0xc000) {
+      this.extRam.manageWrite(addr & 0x1ff, value & 0x0f);
+    }
+  };
+  MBC2.prototype.readRam = function (addr) {
+    return this.extRam.manageRead(addr & 0x1ff) | 0xf0;
+  };
+  MBC2.prototype.getState = function () {
+    return {
+      romBankNumber: this.romBankNumber,
+      ramEnabled: this.ramEnabled,
+      extRam: this.extRam.getState(),
+    };
+  };
+  MBC2.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.ramEnabled = state.ramEnabled;
+    this.extRam.setState(state.extRam);
+  };
+
+  // Real-time clock of MBC3 cartridges
+  // It counts emulated cycles rather than wall clock time so runs are
+  // reproducible, starting GameboyJS.RTC_START seconds after day 0 00:00:00
+  var Rtc = function (start) {
+    this.cycles = 0;
+    this.halted = false;
+    this.carry = false;
+    this.setTime(start || 0);
+    this.latched = this.getRegisters();
+  };
+
+  Rtc.CYCLES_PER_SECOND = 4194304;
+
+  Rtc.prototype.setTime = function (seconds) {
+    this.seconds = seconds % 60;
+    this.minutes = Math.floor(seconds / 60) % 60;
+    this.hours = Math.floor(seconds / 3600) % 24;
+    this.days = Math.floor(seconds / 86400) % 512;
+    this.carry = seconds >= 512 * 86400;
+  };
+
+  // Advance the clock, cycles are counted at single speed
+  Rtc.prototype.update = function (cycles) {
+    if (this.halted) {
+      return;
+    }
+    this.cycles += cycles;
+    while (this.cycles >= Rtc.CYCLES_PER_SECOND) {
+      this.cycles -= Rtc.CYCLES_PER_SECOND;
+      this.tick();
+    }
+  };
+
+  // Out of range values written by the game count up to the width of
+  // their register before wrapping, without carrying
+  Rtc.prototype.tick = function () {
+    this.seconds = (this.seconds + 1) & 0x3f;
+    if (this.seconds != 60) return;
+    this.seconds = 0;
+    this.minutes = (this.minutes + 1) & 0x3f;
+    if (this.minutes != 60) return;
+    this.minutes = 0;
+    this.hours = (this.hours + 1) & 0x1f;
+    if (this.hours != 24) return;
+    this.hours = 0;
+    this.days++;
+    if (this.days > 0x1ff) {
+      this.days = 0;
+      this.carry = true;
+    }
+  };
+
+  // RTC registers 0x08-0x0c: seconds, minutes, hours, day counter low,
+  // day counter high with the halt and carry flags
+  Rtc.prototype.getRegisters = function () {
+    return [
+      this.seconds,
+      this.minutes,
+      this.hours,
+      this.days & 0xff,
+      (this.days >> 8) | (this.halted ? 0x40 : 0) | (this.carry ? 0x80 : 0),
+    ];
+  };
+
+  Rtc.prototype.latch = function () {
+    this.latched = this.getRegisters();
+  };
+
+  // Reads return the latched registers
+  Rtc.prototype.read = function (register) {
+    return this.latched[register - 0x08];
+  };
+
+  Rtc.prototype.write = function (register, value) {
+    switch (register) {
+      case 0x08:
+        this.seconds = value & 0x3f;
+        this.cycles = 0;
+        break;
+      case 0x09:
+        this.minutes = value & 0x3f;
+        break;
+      case 0x0a:
+        this.hours = value & 0x1f;
+        break;
+      case 0x0b:
+        this.days = (this.days & 0x100) | value;
+        break;
+      case 0x0c:
+        this.days = (this.days & 0xff) | ((value & 0x01) << 8);
+        this.halted = (value & 0x40) != 0;
+        this.carry = (value & 0x80) != 0;
+        break;
+    }
+    this.latched[register - 0x08] = this.getRegisters()[register - 0x08];
+  };
+
+  Rtc.prototype.getState = function () {
+    return {
+      seconds: this.seconds,
+      minutes: this.minutes,
+      hours: this.hours,
+      days: this.days,
+      halted: this.halted,
+      carry: this.carry,
+      cycles: this.cycles,
+      latched: this.latched.slice(),
+    };
+  };
+
+  Rtc.prototype.setState = function (state) {
+    this.seconds = state.seconds;
+    this.minutes = state.minutes;
+    this.hours = state.hours;
+    this.days = state.days;
+    this.halted = state.halted;
+    this.carry = state.carry;
+    this.cycles = state.cycles;
+    this.latched = state.latched.slice();
+  };
+  GameboyJS.Rtc = Rtc;
 
-  var MBC3 = function (memory) {
+  var MBC3 = function (memory, hasRtc) {
     this.memory = memory;
     this.romBankNumber = 1;
     this.ramEnabled = true;
     this.extRam = new GameboyJS.ExtRam();
+    this.rtc = hasRtc ? new Rtc(GameboyJS.RTC_START) : null;
+    // RTC register mapped to the cartridge RAM area, null for a RAM bank
+    this.rtcRegister = null;
+    this.latchValue = null;
   };
 
   MBC3.prototype.loadRam = function (game, size) {
@@ -2174,35 +2761,429 @@ var GameboyJS;
         break;
       case 0x2000:
       case 0x3000: // ROM bank number
-        value &= 0x7f;
-        if (value == 0) value = 1;
-        this.romBankNumber = value;
-        this.memory.loadRomBank(this.romBankNumber);
+        this.romBankNumber = this.memory.mapRomBank(value & 0x7f || 1);
         break;
       case 0x4000:
-      case 0x5000: // RAM bank
-        this.extRam.setRamBank(value);
+      case 0x5000: // RAM bank or RTC register
+        if (this.rtc && value >= 0x08 && value <= 0x0c) {
+          this.rtcRegister = value;
+        } else {
+          this.rtcRegister = null;
+          this.extRam.setRamBank(value & 0x07);
+        }
         break;
       case 0x6000:
-      case 0x7000: // Latch clock data
-        throw new GameboyJS.UnimplementedException(
-          "cartridge clock not supported",
-          false
-        );
+      case 0x7000: // Latch clock data when writing 0 then 1
+        if (this.rtc && this.latchValue === 0 && value === 1) {
+          this.rtc.latch();
+        }
+        this.latchValue = value;
         break;
       case 0xa000:
       case 0xb000:
-        this.extRam.manageWrite(addr - 0xa000, value);
+        if (this.rtcRegister !== null) {
+          this.rtc.write(this.rtcRegister, value);
+        } else {
+          this.extRam.manageWrite(addr - 0xa000, value);
+        }
         break;
     }
   };
   MBC3.prototype.readRam = function (addr) {
+    if (this.rtcRegister !== null) {
+      return this.rtc.read(this.rtcRegister);
+    }
+    return this.extRam.manageRead(addr - 0xa000);
+  };
+  MBC3.prototype.getState = function () {
+    return {
+      romBankNumber: this.romBankNumber,
+      ramEnabled: this.ramEnabled,
+      extRam: this.extRam.getState(),
+      rtcRegister: this.rtcRegister,
+      latchValue: this.latchValue,
+      rtc: this.rtc ? this.rtc.getState() : null,
+    };
+  };
+  MBC3.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.ramEnabled = state.ramEnabled;
+    this.extRam.setState(state.extRam);
+    this.rtcRegister = state.rtcRegister;
+    this.latchValue = state.latchValue;
+    if (this.rtc) {
+      this.rtc.setState(state.rtc);
+    }
+  };
+
+  // MBC5 has a 9-bit ROM bank number, split over two registers, and bank 0
+  // can be mapped to 0x4000-0x7fff. On rumble cartridges bit 3 of the RAM
+  // bank drives the motor
+  var MBC5 = function (memory, hasRumble) {
+    this.memory = memory;
+    this.romBankNumber = 1;
+    this.romBankLow = 1;
+    this.romBankHigh = 0;
+    this.ramEnabled = true;
+    this.ramBankMask = hasRumble ? 0x07 : 0x0f;
+    this.extRam = new GameboyJS.ExtRam();
+  };
+
+  MBC5.prototype.loadRam = function (game, size) {
+    this.extRam.loadRam(game, size);
+  };
+
+  MBC5.prototype.manageWrite = function (addr, value) {
+    switch (addr & 0xf000) {
+      case 0x0000:
+      case 0x1000: // enable RAM
+        this.ramEnabled = (value & 0x0f) == 0x0a;
+        if (this.ramEnabled) {
+          this.extRam.saveRamData();
+        }
+        break;
+      case 0x2000: // ROM bank number lower 8 bits
+        this.romBankLow = value;
+        this.updateRomBank();
+        break;
+      case 0x3000: // ROM bank number bit 8
+        this.romBankHigh = value & 0x01;
+        this.updateRomBank();
+        break;
+      case 0x4000:
+      case 0x5000: // RAM bank
+        this.extRam.setRamBank(value & this.ramBankMask);
+        break;
+      case 0xa000:
+      case 0xb000:
+        this.extRam.manageWrite(addr - 0xa000, value);
+        break;
+    }
+  };
+  MBC5.prototype.updateRomBank = function () {
+    this.romBankNumber = this.memory.mapRomBank(
+      (this.romBankHigh << 8) | this.romBankLow
+    );
+  };
+  MBC5.prototype.readRam = function (addr) {
     return this.extRam.manageRead(addr - 0xa000);
   };
+  MBC5.prototype.getState = function () {
+    return {
+      romBankNumber: this.romBankNumber,
+      romBankLow: this.romBankLow,
+      romBankHigh: this.romBankHigh,
+      ramEnabled: this.ramEnabled,
+      extRam: this.extRam.getState(),
+    };
+  };
+  MBC5.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.romBankLow = state.romBankLow;
+    this.romBankHigh = state.romBankHigh;
+    this.ramEnabled = state.ramEnabled;
+    this.extRam.setState(state.extRam);
+  };
+
+  // MBC7 has an accelerometer and a 93LC56 EEPROM (128 16-bit words)
+  // instead of RAM, both mapped as registers at 0xa000-0xafff once the two
+  // enable registers are set. There is no tilt input, the accelerometer
+  // always reads level
+  var MBC7 = function (memory) {
+    this.memory = memory;
+    this.romBankNumber = 1;
+    this.ramEnabled = false;
+    this.ramEnabled2 = false;
+    this.extRam = new GameboyJS.ExtRam();
+    this.accelX = MBC7.ACCEL_CENTER;
+    this.accelY = MBC7.ACCEL_CENTER;
+    this.accelLatched = false;
+    this.eeprom = {
+      cs: 0,
+      clk: 0,
+      di: 0,
+      do: 1,
+      state: "idle",
+      buffer: 0,
+      count: 0,
+      address: 0,
+      writeEnabled: false,
+    };
+  };
 
-  // declare MBC5 for compatibility with most cartriges
-  // does not support rumble feature
-  var MBC5 = MBC3;
+  MBC7.ACCEL_CENTER = 0x81d0;
+
+  // The EEPROM is the cartridge RAM, erased it reads 0xff
+  MBC7.prototype.loadRam = function (game) {
+    this.extRam.loadRam(game, 256);
+    for (var i = 0; i < 256; i++) {
+      this.extRam.manageWrite(i, 0xff);
+    }
+  };
+
+  MBC7.prototype.manageWrite = function (addr, value) {
+    switch (addr & 0xf000) {
+      case 0x0000:
+      case 0x1000: // enable RAM, 1 of 2
+        this.ramEnabled = (value & 0x0f) == 0x0a;
+        break;
+      case 0x2000:
+      case 0x3000: // ROM bank number
+        this.romBankNumber = this.memory.mapRomBank(value & 0x7f);
+        break;
+      case 0x4000:
+      case 0x5000: // enable RAM, 2 of 2
+        this.ramEnabled2 = value == 0x40;
+        break;
+      case 0xa000:
+        if (this.ramEnabled && this.ramEnabled2) {
+          this.writeRegister((addr >> 4) & 0x0f, value);
+        }
+        break;
+    }
+  };
+  MBC7.prototype.writeRegister = function (register, value) {
+    switch (register) {
+      case 0x0: // erase the latched accelerometer values
+        if (value == 0x55) {
+          this.accelX = 0x8000;
+          this.accelY = 0x8000;
+          this.accelLatched = false;
+        }
+        break;
+      case 0x1: // latch the accelerometer
+        if (value == 0xaa && !this.accelLatched) {
+          this.accelX = MBC7.ACCEL_CENTER;
+          this.accelY = MBC7.ACCEL_CENTER;
+          this.accelLatched = true;
+        }
+        break;
+      case 0x8:
+        this.writeEeprom(value);
+        break;
+    }
+  };
+  MBC7.prototype.readRam = function (addr) {
+    if (!this.ramEnabled || !this.ramEnabled2 || addr >= 0xb000) {
+      return 0xff;
+    }
+    var eeprom = this.eeprom;
+    switch ((addr >> 4) & 0x0f) {
+      case 0x2:
+        return this.accelX & 0xff;
+      case 0x3:
+        return this.accelX >> 8;
+      case 0x4:
+        return this.accelY & 0xff;
+      case 0x5:
+        return this.accelY >> 8;
+      case 0x6:
+        return 0x00;
+      case 0x8:
+        return (
+          (eeprom.cs << 7) | (eeprom.clk << 6) | (eeprom.di << 1) | eeprom.do
+        );
+      default:
+        return 0xff;
+    }
+  };
+
+  // EEPROM pins: bit 7 chip select, bit 6 clock, bit 1 data in
+  // Data in is shifted on the rising edge of the clock
+  MBC7.prototype.writeEeprom = function (value) {
+    var eeprom = this.eeprom;
+    var cs = (value >> 7) & 1;
+    var clk = (value >> 6) & 1;
+    var di = (value >> 1) & 1;
+    if (!cs) {
+      eeprom.state = "idle";
+    } else if (clk && !eeprom.clk) {
+      this.clockEeprom(di);
+    }
+    eeprom.cs = cs;
+    eeprom.clk = clk;
+    eeprom.di = di;
+  };
+
+  // Commands are a start bit, a 2-bit opcode and an 8-bit address, the
+  // top address bit is unused in 16-bit mode
+  MBC7.prototype.clockEeprom = function (di) {
+    var eeprom = this.eeprom;
+    switch (eeprom.state) {
+      case "idle":
+        if (di) {
+          eeprom.state = "command";
+          eeprom.buffer = 0;
+          eeprom.count = 0;
+        }
+        break;
+      case "command":
+        eeprom.buffer = (eeprom.buffer << 1) | di;
+        if (++eeprom.count == 10) {
+          this.runEepromCommand(eeprom.buffer >> 8, eeprom.buffer & 0xff);
+        }
+        break;
+      case "read": // sequential read, moving on to the next word
+        eeprom.do = (eeprom.buffer >> 15) & 1;
+        eeprom.buffer = (eeprom.buffer << 1) & 0xffff;
+        if (++eeprom.count == 16) {
+          eeprom.address = (eeprom.address + 1) & 0x7f;
+          eeprom.buffer = this.readEepromWord(eeprom.address);
+          eeprom.count = 0;
+        }
+        break;
+      case "write":
+        eeprom.buffer = (eeprom.buffer << 1) | di;
+        if (++eeprom.count == 16) {
+          if (eeprom.writeEnabled) {
+            for (var i = 0; i < 128; i++) {
+              if (eeprom.address < 0 || i == eeprom.address) {
+                this.writeEepromWord(i, eeprom.buffer);
+              }
+            }
+          }
+          eeprom.state = "idle";
+          eeprom.do = 1;
+        }
+        break;
+    }
+  };
+  MBC7.prototype.runEepromCommand = function (opcode, address) {
+    var eeprom = this.eeprom;
+    eeprom.state = "idle";
+    eeprom.buffer = 0;
+    eeprom.count = 0;
+    switch (opcode) {
+      case 0x0: // EWDS, WRAL, ERAL, EWEN by the top address bits
+        switch (address >> 6) {
+          case 0x0:
+            eeprom.writeEnabled = false;
+            break;
+          case 0x1:
+            eeprom.state = "write";
+            eeprom.address = -1;
+            break;
+          case 0x2:
+            if (eeprom.writeEnabled) {
+              for (var i = 0; i < 128; i++) {
+                this.writeEepromWord(i, 0xffff);
+              }
+            }
+            break;
+          case 0x3:
+            eeprom.writeEnabled = true;
+            break;
+        }
+        break;
+      case 0x1: // WRITE
+        eeprom.state = "write";
+        eeprom.address = address & 0x7f;
+        break;
+      case 0x2: // READ, starting with a dummy 0 bit
+        eeprom.state = "read";
+        eeprom.address = address & 0x7f;
+        eeprom.buffer = this.readEepromWord(eeprom.address);
+        eeprom.do = 0;
+        break;
+      case 0x3: // ERASE
+        if (eeprom.writeEnabled) {
+          this.writeEepromWord(address & 0x7f, 0xffff);
+        }
+        break;
+    }
+  };
+  MBC7.prototype.readEepromWord = function (index) {
+    return (
+      this.extRam.manageRead(index * 2) |
+      (this.extRam.manageRead(index * 2 + 1) << 8)
+    );
+  };
+  MBC7.prototype.writeEepromWord = function (index, value) {
+    this.extRam.manageWrite(index * 2, value & 0xff);
+    this.extRam.manageWrite(index * 2 + 1, value >> 8);
+  };
+  MBC7.prototype.getState = function () {
+    var eeprom = {};
+    for (var key in this.eeprom) {
+      eeprom[key] = this.eeprom[key];
+    }
+    return {
+      romBankNumber: this.romBankNumber,
+      ramEnabled: this.ramEnabled,
+      ramEnabled2: this.ramEnabled2,
+      accelX: this.accelX,
+      accelY: this.accelY,
+      accelLatched: this.accelLatched,
+      eeprom: eeprom,
+      extRam: this.extRam.getState(),
+    };
+  };
+  MBC7.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.ramEnabled = state.ramEnabled;
+    this.ramEnabled2 = state.ramEnabled2;
+    this.accelX = state.accelX;
+    this.accelY = state.accelY;
+    this.accelLatched = state.accelLatched;
+    for (var key in state.eeprom) {
+      this.eeprom[key] = state.eeprom[key];
+    }
+    this.extRam.setState(state.extRam);
+  };
+
+  // HuC1 is close to MBC1, with an infrared port that replaces the RAM
+  // when selected. Nothing is ever received, the port reads no light
+  var HuC1 = function (memory) {
+    this.memory = memory;
+    this.romBankNumber = 1;
+    this.irMode = false;
+    this.extRam = new GameboyJS.ExtRam();
+  };
+
+  HuC1.prototype.loadRam = function (game, size) {
+    this.extRam.loadRam(game, size);
+  };
+
+  HuC1.prototype.manageWrite = function (addr, value) {
+    switch (addr & 0xf000) {
+      case 0x0000:
+      case 0x1000: // RAM or infrared mode
+        this.irMode = (value & 0x0f) == 0x0e;
+        break;
+      case 0x2000:
+      case 0x3000: // ROM bank number
+        this.romBankNumber = this.memory.mapRomBank(value & 0x3f || 1);
+        break;
+      case 0x4000:
+      case 0x5000: // RAM bank
+        this.extRam.setRamBank(value & 0x03);
+        break;
+      case 0xa000:
+      case 0xb000:
+        if (!this.irMode) {
+          this.extRam.manageWrite(addr - 0xa000, value);
+        }
+        break;
+    }
+  };
+  HuC1.prototype.readRam = function (addr) {
+    if (this.irMode) {
+      return 0xc0;
+    }
+    return this.extRam.manageRead(addr - 0xa000);
+  };
+  HuC1.prototype.getState = function () {
+    return {
+      romBankNumber: this.romBankNumber,
+      irMode: this.irMode,
+      extRam: this.extRam.getState(),
+    };
+  };
+  HuC1.prototype.setState = function (state) {
+    this.romBankNumber = state.romBankNumber;
+    this.irMode = state.irMode;
+    this.extRam.setState(state.extRam);
+  };
 
   // MBC0 exists for consistency and manages the no-MBC cartriges
   var MBC0 = function (memory) {
@@ -2216,6 +3197,10 @@ var GameboyJS;
     return 0;
   };
   MBC0.prototype.loadRam = function () {};
+  MBC0.prototype.getState = function () {
+    return {};
+  };
+  MBC0.prototype.setState = function () {};
 
   GameboyJS.MBC = MBC;
 })(GameboyJS || (GameboyJS = {}));
@@ -2231,8 +3216,13 @@ var GameboyJS;
     this.MBCtype = 0;
     this.banksize = 0x4000;
     this.rom = null;
+    this.romBankOffset = this.banksize;
     this.mbc = null;
     this.cpu = cpu;
+
+    this.cgb = false;
+    this.hdmaActive = false;
+    this.hdmaPending = false;
   };
 
   Memory.addresses = {
@@ -2274,21 +3264,122 @@ var GameboyJS;
   Memory.prototype.setRomData = function (data) {
     this.rom = data;
     this.loadRomBank(0);
+    this.cgb = (this[0x143] & 0x80) != 0;
+    if (this.cgb) {
+      this.initCgb();
+    }
     this.mbc = GameboyJS.MBC.getMbcInstance(this, this[0x147]);
     this.loadRomBank(1);
     this.mbc.loadRam(this.cpu.getGameName(), this.cpu.getRamSize());
   };
 
+  // Bank 0 is copied once into memory, the switchable bank
+  // is read straight from the ROM data through an offset
   Memory.prototype.loadRomBank = function (index) {
-    var start = index ? 0x4000 : 0x0;
-    var romStart = index * 0x4000;
+    if (index) {
+      this.romBankOffset = index * this.banksize;
+      return;
+    }
     for (var i = 0; i < this.banksize; i++) {
-      this[i + start] = this.rom[romStart + i];
+      this[i] = this.rom[i];
+    }
+  };
+
+  // Map a ROM bank to 0x4000-0x7fff, wrapping around the banks of the ROM
+  // as the unused bank number bits aren't connected. Returns the bank mapped
+  Memory.prototype.mapRomBank = function (index) {
+    var banks = Math.ceil(this.rom.length / this.banksize);
+    index %= banks;
+    this.romBankOffset = index * this.banksize;
+    return index;
+  };
+
+  // Set up the banked VRAM/WRAM, palettes and registers of a CGB
+  // in the state left by the boot ROM
+  Memory.prototype.initCgb = function () {
+    this.vramBanks = [new Uint8Array(0x2000), new Uint8Array(0x2000)];
+    this.wramBanks = [];
+    for (var i = 0; i < 8; i++) {
+      this.wramBanks.push(new Uint8Array(0x1000));
+    }
+    this.vramBank = 0;
+    this.wramBank = 1;
+
+    // Background palettes start white, object palettes are undefined
+    this.bgPalette = new Uint8Array(64);
+    for (var i = 0; i < 64; i += 2) {
+      this.bgPalette[i] = 0xff;
+      this.bgPalette[i + 1] = 0x7f;
+    }
+    this.objPalette = new Uint8Array(64);
+
+    this.hdmaActive = false;
+    this.hdmaPending = false;
+    this.hdmaBlocks = 0;
+
+    this[0xff4d] = 0x7e; // KEY1
+    this[0xff4f] = 0xfe; // VBK
+    this[0xff55] = 0xff; // HDMA5
+    this[0xff70] = 0xf9; // SVBK
+  };
+
+  // Save the RAM, registers and bank state
+  // ROM banks are reloaded from the cartridge on restore
+  Memory.prototype.getState = function () {
+    var ram = new Uint8Array(this.MEM_SIZE - 0x8000);
+    for (var i = 0; i < ram.length; i++) {
+      ram[i] = this[0x8000 + i] | 0;
+    }
+    var state = {
+      ram: GameboyJS.Util.bytesToHex(ram),
+      mbc: this.mbc.getState(),
+    };
+    if (this.cgb) {
+      state.cgb = {
+        vramBanks: this.vramBanks.map(GameboyJS.Util.bytesToHex),
+        wramBanks: this.wramBanks.map(GameboyJS.Util.bytesToHex),
+        vramBank: this.vramBank,
+        wramBank: this.wramBank,
+        bgPalette: GameboyJS.Util.bytesToHex(this.bgPalette),
+        objPalette: GameboyJS.Util.bytesToHex(this.objPalette),
+        hdmaActive: this.hdmaActive,
+        hdmaPending: this.hdmaPending,
+        hdmaSource: this.hdmaSource,
+        hdmaDest: this.hdmaDest,
+        hdmaBlocks: this.hdmaBlocks,
+      };
+    }
+    return state;
+  };
+
+  Memory.prototype.setState = function (state) {
+    var ram = GameboyJS.Util.hexToBytes(state.ram);
+    for (var i = 0; i < ram.length; i++) {
+      this[0x8000 + i] = ram[i];
+    }
+    this.mbc.setState(state.mbc);
+    this.mapRomBank(
+      this.mbc.romBankNumber !== undefined ? this.mbc.romBankNumber : 1
+    );
+    if (state.cgb) {
+      var cgb = state.cgb;
+      this.vramBanks = cgb.vramBanks.map(GameboyJS.Util.hexToBytes);
+      this.wramBanks = cgb.wramBanks.map(GameboyJS.Util.hexToBytes);
+      this.vramBank = cgb.vramBank;
+      this.wramBank = cgb.wramBank;
+      this.bgPalette = GameboyJS.Util.hexToBytes(cgb.bgPalette);
+      this.objPalette = GameboyJS.Util.hexToBytes(cgb.objPalette);
+      this.hdmaActive = cgb.hdmaActive;
+      this.hdmaPending = cgb.hdmaPending;
+      this.hdmaSource = cgb.hdmaSource;
+      this.hdmaDest = cgb.hdmaDest;
+      this.hdmaBlocks = cgb.hdmaBlocks;
     }
   };
 
   // Video ram accessor
-  Memory.prototype.vram = function (address) {
+  // The bank is only used in CGB mode
+  Memory.prototype.vram = function (address, bank) {
     if (
       address < Memory.addresses.VRAM_START ||
       address > Memory.addresses.VRAM_END
@@ -2296,6 +3387,9 @@ var GameboyJS;
       throw "VRAM access in out of bounds address " + address;
     }
 
+    if (this.cgb) {
+      return this.vramBanks[bank | 0][address - Memory.addresses.VRAM_START];
+    }
     return this[address];
   };
 
@@ -2329,6 +3423,9 @@ var GameboyJS;
   // Memory read proxy function
   // Used to centralize memory read access
   Memory.prototype.rb = function (addr) {
+    if (addr >= 0x4000 && addr < 0x8000) {
+      return this.rom[this.romBankOffset + addr - 0x4000];
+    }
     if (addr >= 0xff10 && addr < 0xff40) {
       var mask = apuMask[addr - 0xff10];
       return this[addr] | mask;
@@ -2336,6 +3433,20 @@ var GameboyJS;
     if (addr >= 0xa000 && addr < 0xc000) {
       return this.mbc.readRam(addr);
     }
+    if (this.cgb) {
+      if (addr >= 0x8000 && addr < 0xa000) {
+        return this.vramBanks[this.vramBank][addr - 0x8000];
+      }
+      if (addr >= 0xd000 && addr < 0xe000) {
+        return this.wramBanks[this.wramBank][addr - 0xd000];
+      }
+      if (addr == 0xff69) {
+        return this.bgPalette[this[0xff68] & 0x3f];
+      }
+      if (addr == 0xff6b) {
+        return this.objPalette[this[0xff6a] & 0x3f];
+      }
+    }
     return this[addr];
   };
 
@@ -2400,10 +3511,12 @@ var GameboyJS;
       this.mbc.manageWrite(addr, value);
     } else if (addr >= 0xff10 && addr <= 0xff3f) {
       // sound registers
-      //   this.cpu.apu.manageWrite(addr, value);
+      this.cpu.apu.manageWrite(addr, value);
     } else if (addr == 0xff00) {
       // input register
       this[addr] = (this[addr] & 0x0f) | (value & 0x30);
+    } else if (this.cgb && this.cgbWrite(addr, value)) {
+      // banked memory and CGB registers
     } else {
       this[addr] = value;
       if ((addr & 0xff00) == 0xff00) {
@@ -2423,11 +3536,116 @@ var GameboyJS;
     }
   };
 
+  // Handle writes to the banked memory areas and registers that only
+  // exist in CGB mode. Returns false if the address is not one of them
+  Memory.prototype.cgbWrite = function (addr, value) {
+    if (addr >= 0x8000 && addr < 0xa000) {
+      this.vramBanks[this.vramBank][addr - 0x8000] = value;
+      return true;
+    }
+    if (addr >= 0xd000 && addr < 0xe000) {
+      this.wramBanks[this.wramBank][addr - 0xd000] = value;
+      return true;
+    }
+    switch (addr) {
+      case 0xff4d: // KEY1, only the prepare bit is writable
+        this[addr] = (this[addr] & 0x80) | 0x7e | (value & 0x01);
+        return true;
+      case 0xff4f: // VBK
+        this.vramBank = value & 0x01;
+        this[addr] = 0xfe | this.vramBank;
+        return true;
+      case 0xff55: // HDMA5
+        this.startHdma(value);
+        return true;
+      case 0xff69: // BCPD
+        this.writePalette(this.bgPalette, 0xff68, value);
+        return true;
+      case 0xff6b: // OCPD
+        this.writePalette(this.objPalette, 0xff6a, value);
+        return true;
+      case 0xff70: // SVBK
+        this.wramBank = value & 0x07 || 1;
+        this[addr] = 0xf8 | (value & 0x07);
+        return true;
+    }
+    return false;
+  };
+
+  // Write palette data at the index held in the specification register,
+  // incrementing the index if auto-increment is set
+  Memory.prototype.writePalette = function (palette, specAddr, value) {
+    var spec = this[specAddr];
+    palette[spec & 0x3f] = value;
+    if (spec & 0x80) {
+      this[specAddr] = 0x80 | ((spec + 1) & 0x3f);
+    }
+  };
+
+  // Start a VRAM DMA transfer from a write to HDMA5
+  // Bit 7 selects an HBlank transfer (one block per HBlank),
+  // otherwise everything is copied at once
+  Memory.prototype.startHdma = function (value) {
+    if (this.hdmaActive && !(value & 0x80)) {
+      // Stop the running HBlank transfer
+      this.hdmaActive = false;
+      this.hdmaPending = false;
+      this[0xff55] = 0x80 | ((this.hdmaBlocks - 1) & 0x7f);
+      return;
+    }
+
+    this.hdmaSource = ((this[0xff51] << 8) | this[0xff52]) & 0xfff0;
+    this.hdmaDest = ((this[0xff53] << 8) | this[0xff54]) & 0x1ff0;
+    this.hdmaBlocks = (value & 0x7f) + 1;
+
+    if (value & 0x80) {
+      this.hdmaActive = true;
+      this[0xff55] = (this.hdmaBlocks - 1) & 0x7f;
+    } else {
+      while (this.hdmaBlocks > 0) {
+        this.copyHdmaBlock();
+      }
+      this[0xff55] = 0xff;
+    }
+  };
+
+  // Notify the start of an HBlank period
+  Memory.prototype.hblank = function () {
+    if (this.hdmaActive) {
+      this.hdmaPending = true;
+    }
+  };
+
+  // Copy the block of a running HBlank transfer
+  Memory.prototype.hdmaTransferBlock = function () {
+    this.hdmaPending = false;
+    this.copyHdmaBlock();
+    if (this.hdmaBlocks == 0) {
+      this.hdmaActive = false;
+      this[0xff55] = 0xff;
+    } else {
+      this[0xff55] = (this.hdmaBlocks - 1) & 0x7f;
+    }
+  };
+
+  // Copy 16 bytes to the current VRAM bank, stalling the CPU
+  // for 32 cycles at normal speed (64 in double speed)
+  Memory.prototype.copyHdmaBlock = function () {
+    var vram = this.vramBanks[this.vramBank];
+    for (var i = 0; i < 0x10; i++) {
+      vram[(this.hdmaDest + i) & 0x1fff] = this.rb(this.hdmaSource + i);
+    }
+    this.hdmaSource = (this.hdmaSource + 0x10) & 0xffff;
+    this.hdmaDest = (this.hdmaDest + 0x10) & 0x1fff;
+    this.hdmaBlocks--;
+    this.cpu.clock.c += this.cpu.doubleSpeed ? 64 : 32;
+  };
+
   // Start a DMA transfer (OAM data from cartrige to RAM)
   Memory.prototype.dmaTransfer = function (startAddressPrefix) {
     var startAddress = startAddressPrefix << 8;
     for (var i = 0; i < 0xa0; i++) {
-      this[Memory.addresses.OAM_START + i] = this[startAddress + i];
+      this[Memory.addresses.OAM_START + i] = this.rb(startAddress + i);
     }
   };
 
@@ -2500,8 +3718,7 @@ var GameboyJS;
     },
 
     0x10: function (p) {
-      p.r.pc++;
-      p.clock.c += 4;
+      ops.STOP(p);
     },
     0x11: function (p) {
       ops.LDrrnn(p, "D", "E");
@@ -2665,6 +3882,7 @@ var GameboyJS;
 
     0x40: function (p) {
       ops.LDrr(p, "B", "B");
+      p.debugBreakpoint();
     },
     0x41: function (p) {
       ops.LDrr(p, "B", "C");
@@ -2720,6 +3938,7 @@ var GameboyJS;
     },
     0x52: function (p) {
       ops.LDrr(p, "D", "D");
+      p.debugMessage();
     },
     0x53: function (p) {
       ops.LDrr(p, "D", "E");
@@ -4244,195 +5463,295 @@ var GameboyJS;
   "use strict";
 
   // Audio Processing unit
-  // Listens the write accesses to the audio-reserved memory addresses
-  // and dispatches the data to the sound channels
+  // Listens the write accesses to the audio-reserved memory addresses and
+  // runs the four sound channels on the emulated clock, mixing them into
+  // 16-bit stereo samples. Nothing is played, the samples are collected
+  // with takeSamples() so the APU runs headless
   var APU = function (memory) {
     this.memory = memory;
-    this.enabled = false;
-    /*
-    AudioContext = window.AudioContext || window.webkitAudioContext;
-    var audioContext = new AudioContext();
-
-    this.channel1 = new GameboyJS.Channel1(this, 1, audioContext);
-    this.channel2 = new GameboyJS.Channel1(this, 2, audioContext);
-    this.channel3 = new GameboyJS.Channel3(this, 3, audioContext);
-    this.channel4 = new GameboyJS.Channel4(this, 4, audioContext);
-    */
-  };
+    this.sampleRate = APU.SAMPLE_RATE;
+    this.samples = new Int16Array(APU.BUFFER_SIZE);
+    this.muted = false;
+    // The high-pass filter of the output, removing the DC offset of the DACs
+    this.filterCharge = Math.pow(0.999958, APU.CLOCK_RATE / this.sampleRate);
+    this.reset();
+  };
+
+  APU.CLOCK_RATE = 4194304;
+  APU.SAMPLE_RATE = 44100;
+  // Samples kept until they are taken, one second of stereo output
+  APU.BUFFER_SIZE = APU.SAMPLE_RATE * 2;
+  // Cycles per step of the frame sequencer clocking the length counters,
+  // sweep and envelopes (512Hz)
+  APU.SEQUENCER_CYCLES = 8192;
+
+  // State after the boot ROM, which leaves sound on
+  APU.prototype.reset = function () {
+    this.enabled = true;
+    this.createChannels();
+    this.sequencerClock = 0;
+    this.sequencerStep = 0;
+    this.sampleClock = 0;
+    this.sampleCount = 0;
+    this.filterLeft = 0;
+    this.filterRight = 0;
+
+    var registers = [
+      0x80, 0xbf, 0xf3, 0xff, 0xbf, 0xff, 0x3f, 0x00, 0xff, 0xbf, 0x7f, 0xff,
+      0x9f, 0xff, 0xbf, 0xff, 0xff, 0x00, 0x00, 0xbf, 0x77, 0xf3
+    ];
+    for (var i = 0; i < registers.length; i++) {
+      this.memory[APU.registers.NR10 + i] = registers[i];
+    }
+    // Channel 1 played the boot sound, its envelope faded it out
+    this.channel1.duty = 2;
+    this.channel1.dacEnabled = true;
+    this.channel1.enabled = true;
+    this.updateStatus();
+  };
+
+  APU.prototype.createChannels = function () {
+    this.channel1 = new SquareChannel(true);
+    this.channel2 = new SquareChannel(false);
+    this.channel3 = new WaveChannel();
+    this.channel4 = new NoiseChannel();
+    this.channels = [
+      this.channel1,
+      this.channel2,
+      this.channel3,
+      this.channel4
+    ];
+  };
+
+  // Sound output for Gameboy.setSoundEnabled, muted samples are silent
   APU.prototype.connect = function () {
-    // this.channel1.enable();
-    // this.channel2.enable();
-    // this.channel3.enable();
+    this.muted = false;
   };
   APU.prototype.disconnect = function () {
-    // this.channel1.disable();
-    // this.channel2.disable();
-    // this.channel3.disable();
+    this.muted = true;
   };
+
   // Updates the states of each channel given the elapsed time
-  // (in instructions) since last update
+  // (in cycles at normal speed) since last update
   APU.prototype.update = function (clockElapsed) {
-    if (this.enabled == false) return;
+    if (this.enabled) {
+      for (var i = 0; i < 4; i++) {
+        this.channels[i].update(clockElapsed);
+      }
+      this.sequencerClock += clockElapsed;
+      while (this.sequencerClock >= APU.SEQUENCER_CYCLES) {
+        this.sequencerClock -= APU.SEQUENCER_CYCLES;
+        this.stepSequencer();
+      }
+    }
+
+    this.sampleClock += clockElapsed * this.sampleRate;
+    while (this.sampleClock >= APU.CLOCK_RATE) {
+      this.sampleClock -= APU.CLOCK_RATE;
+      this.outputSample();
+    }
+  };
+
+  // Length counters on even steps, sweep on steps 2 and 6, envelopes on 7
+  APU.prototype.stepSequencer = function () {
+    var step = this.sequencerStep;
+    if ((step & 1) == 0) {
+      for (var i = 0; i < 4; i++) {
+        this.channels[i].clockLength();
+      }
+    }
+    if (step == 2 || step == 6) {
+      if (this.channel1.clockSweep()) {
+        var frequency = this.channel1.frequency;
+        this.memory[APU.registers.NR13] = frequency & 0xff;
+        this.memory[APU.registers.NR14] =
+          (this.memory[APU.registers.NR14] & 0xf8) | (frequency >> 8);
+      }
+    }
+    if (step == 7) {
+      this.channel1.clockEnvelope();
+      this.channel2.clockEnvelope();
+      this.channel4.clockEnvelope();
+    }
+    this.sequencerStep = (step + 1) & 7;
+    this.updateStatus();
+  };
+
+  // Mix the channels through NR51 (panning) and NR50 (master volume)
+  APU.prototype.outputSample = function () {
+    var left = 0;
+    var right = 0;
+    if (this.enabled) {
+      var panning = this.memory[APU.registers.NR51];
+      for (var i = 0; i < 4; i++) {
+        var channel = this.channels[i];
+        if (!channel.dacEnabled) continue;
+        // DAC: digital 0 to 15 to analog 1 to -1
+        var value = channel.enabled ? 1 - channel.output(this.memory) / 7.5 : 1;
+        if (panning & (0x10 << i)) left += value;
+        if (panning & (0x01 << i)) right += value;
+      }
+      var volume = this.memory[APU.registers.NR50];
+      left *= (((volume >> 4) & 7) + 1) / 32;
+      right *= ((volume & 7) + 1) / 32;
+    }
+
+    var outLeft = left - this.filterLeft;
+    this.filterLeft = left - outLeft * this.filterCharge;
+    var outRight = right - this.filterRight;
+    this.filterRight = right - outRight * this.filterCharge;
+
+    if (this.sampleCount + 2 > this.samples.length) {
+      return;
+    }
+    var gain = this.muted ? 0 : 16383;
+    this.samples[this.sampleCount++] = Math.round(outLeft * gain);
+    this.samples[this.sampleCount++] = Math.round(outRight * gain);
+  };
 
-    // this.channel1.update(clockElapsed);
-    // this.channel2.update(clockElapsed);
-    // this.channel3.update(clockElapsed);
-    // this.channel4.update(clockElapsed);
+  // Interleaved stereo samples generated since the last call, samples past
+  // BUFFER_SIZE are dropped when they are not taken in time
+  APU.prototype.takeSamples = function () {
+    var samples = this.samples.slice(0, this.sampleCount);
+    this.sampleCount = 0;
+    return samples;
   };
-  APU.prototype.setSoundFlag = function (channel, value) {
-    var mask = 0xff - (1 << (channel - 1));
-    value = value << (channel - 1);
-    var byteValue = this.memory.rb(APU.registers.NR52);
-    byteValue &= mask;
-    byteValue |= value;
-    this.memory[APU.registers.NR52] = byteValue;
+
+  // Channel on flags in NR52
+  APU.prototype.updateStatus = function () {
+    var value = this.enabled ? 0x80 : 0;
+    for (var i = 0; i < 4; i++) {
+      if (this.channels[i].enabled) {
+        value |= 1 << i;
+      }
+    }
+    this.memory[APU.registers.NR52] = value;
   };
+
   // Manage writes to audio registers
   // Will update the channels depending on the address
   APU.prototype.manageWrite = function (addr, value) {
-    if (this.enabled == false && addr < APU.registers.NR52) {
+    // Wave RAM stays writable while the APU is off
+    if (!this.enabled && addr < APU.registers.NR52) {
+      return;
+    }
+    if (addr >= 0xff30) {
+      this.memory[addr] = value;
       return;
     }
     this.memory[addr] = value;
 
     switch (addr) {
-      // Channel 1 addresses
-      case 0xff10:
-        this.channel1.clockSweep = 0;
-        this.channel1.sweepTime = (value & 0x70) >> 4;
-        this.channel1.sweepSign = value & 0x08 ? -1 : 1;
-        this.channel1.sweepShifts = value & 0x07;
-        this.channel1.sweepCount = this.channel1.sweepShifts;
+      case APU.registers.NR10:
+        this.channel1.sweepPeriod = (value >> 4) & 7;
+        this.channel1.sweepNegate = (value & 0x08) != 0;
+        this.channel1.sweepShift = value & 7;
         break;
-      case 0xff11:
-        // todo : bits 6-7
+      case APU.registers.NR11:
+        this.channel1.duty = value >> 6;
         this.channel1.setLength(value & 0x3f);
         break;
-      case 0xff12:
-        this.channel1.envelopeSign = value & 0x08 ? 1 : -1;
-        var envelopeVolume = (value & 0xf0) >> 4;
-        this.channel1.setEnvelopeVolume(envelopeVolume);
-        this.channel1.envelopeStep = value & 0x07;
+      case APU.registers.NR12:
+        this.channel1.setEnvelope(value);
         break;
-      case 0xff13:
-        var frequency = this.channel1.getFrequency();
-        frequency &= 0xf00;
-        frequency |= value;
-        this.channel1.setFrequency(frequency);
+      case APU.registers.NR13:
+        this.channel1.frequency = (this.channel1.frequency & 0x700) | value;
         break;
-      case 0xff14:
-        var frequency = this.channel1.getFrequency();
-        frequency &= 0xff;
-        frequency |= (value & 7) << 8;
-        this.channel1.setFrequency(frequency);
-        this.channel1.lengthCheck = value & 0x40 ? true : false;
-        if (value & 0x80) this.channel1.play();
+      case APU.registers.NR14:
+        this.channel1.writeControl(value);
         break;
 
-      // Channel 2 addresses
-      case 0xff16:
-        // todo : bits 6-7
+      case APU.registers.NR21:
+        this.channel2.duty = value >> 6;
         this.channel2.setLength(value & 0x3f);
         break;
-      case 0xff17:
-        this.channel2.envelopeSign = value & 0x08 ? 1 : -1;
-        var envelopeVolume = (value & 0xf0) >> 4;
-        this.channel2.setEnvelopeVolume(envelopeVolume);
-        this.channel2.envelopeStep = value & 0x07;
+      case APU.registers.NR22:
+        this.channel2.setEnvelope(value);
         break;
-      case 0xff18:
-        var frequency = this.channel2.getFrequency();
-        frequency &= 0xf00;
-        frequency |= value;
-        this.channel2.setFrequency(frequency);
+      case APU.registers.NR23:
+        this.channel2.frequency = (this.channel2.frequency & 0x700) | value;
         break;
-      case 0xff19:
-        var frequency = this.channel2.getFrequency();
-        frequency &= 0xff;
-        frequency |= (value & 7) << 8;
-        this.channel2.setFrequency(frequency);
-        this.channel2.lengthCheck = value & 0x40 ? true : false;
-        if (value & 0x80) {
-          this.channel2.play();
-        }
+      case APU.registers.NR24:
+        this.channel2.writeControl(value);
         break;
 
-      // Channel 3 addresses
-      case 0xff1a:
-        // todo
+      case APU.registers.NR30:
+        this.channel3.dacEnabled = (value & 0x80) != 0;
+        if (!this.channel3.dacEnabled) {
+          this.channel3.enabled = false;
+        }
         break;
-      case 0xff1b:
+      case APU.registers.NR31:
         this.channel3.setLength(value);
         break;
-      case 0xff1c:
-        // todo
+      case APU.registers.NR32:
+        this.channel3.volumeCode = (value >> 5) & 3;
         break;
-      case 0xff1d:
-        var frequency = this.channel3.getFrequency();
-        frequency &= 0xf00;
-        frequency |= value;
-        this.channel3.setFrequency(frequency);
+      case APU.registers.NR33:
+        this.channel3.frequency = (this.channel3.frequency & 0x700) | value;
         break;
-      case 0xff1e:
-        var frequency = this.channel3.getFrequency();
-        frequency &= 0xff;
-        frequency |= (value & 7) << 8;
-        this.channel3.setFrequency(frequency);
-        this.channel3.lengthCheck = value & 0x40 ? true : false;
-        if (value & 0x80) {
-          this.channel3.play();
-        }
+      case APU.registers.NR34:
+        this.channel3.writeControl(value);
         break;
 
-      // Channel 4 addresses
-      case 0xff20:
+      case APU.registers.NR41:
         this.channel4.setLength(value & 0x3f);
         break;
-      case 0xff21:
-        // todo
+      case APU.registers.NR42:
+        this.channel4.setEnvelope(value);
         break;
-      case 0xff22:
-        // todo
-        break;
-      case 0xff23:
-        this.channel4.lengthCheck = value & 0x40 ? true : false;
-        if (value & 0x80) {
-          this.channel4.play();
-        }
+      case APU.registers.NR43:
+        this.channel4.shift = value >> 4;
+        this.channel4.widthMode = (value & 0x08) != 0;
+        this.channel4.divisorCode = value & 7;
         break;
-
-      // channel 3 wave bytes
-      case 0xff30:
-      case 0xff31:
-      case 0xff32:
-      case 0xff33:
-      case 0xff34:
-      case 0xff35:
-      case 0xff36:
-      case 0xff37:
-      case 0xff38:
-      case 0xff39:
-      case 0xff3a:
-      case 0xff3b:
-      case 0xff3c:
-      case 0xff3d:
-      case 0xff3e:
-      case 0xff3f:
-        var index = addr - 0xff30;
-        this.channel3.setWaveBufferByte(index, value);
+      case APU.registers.NR44:
+        this.channel4.writeControl(value);
         break;
 
-      // general audio switch
-      case 0xff26:
-        value &= 0xf0;
-        this.memory[addr] = value;
-        this.enabled = (value & 0x80) == 0 ? false : true;
-        if (!this.enabled) {
-          for (var i = 0xff10; i < 0xff27; i++) this.memory[i] = 0;
-          // todo stop sound
+      // general audio switch, turning it off clears the registers
+      case APU.registers.NR52:
+        var enabled = (value & 0x80) != 0;
+        if (this.enabled && !enabled) {
+          for (var i = APU.registers.NR10; i < APU.registers.NR52; i++) {
+            this.memory[i] = 0;
+          }
+          this.createChannels();
+        } else if (!this.enabled && enabled) {
+          this.sequencerStep = 0;
+          this.sequencerClock = 0;
         }
+        this.enabled = enabled;
         break;
     }
+    this.updateStatus();
+  };
+
+  APU.prototype.getState = function () {
+    return {
+      enabled: this.enabled,
+      channels: this.channels.map(function (channel) {
+        return channel.getState();
+      }),
+      sequencerClock: this.sequencerClock,
+      sequencerStep: this.sequencerStep,
+      sampleClock: this.sampleClock,
+      filterLeft: this.filterLeft,
+      filterRight: this.filterRight
+    };
+  };
+
+  APU.prototype.setState = function (state) {
+    this.enabled = state.enabled;
+    for (var i = 0; i < 4; i++) {
+      GameboyJS.Util.extend(this.channels[i], state.channels[i]);
+    }
+    this.sequencerClock = state.sequencerClock;
+    this.sequencerStep = state.sequencerStep;
+    this.sampleClock = state.sampleClock;
+    this.filterLeft = state.filterLeft;
+    this.filterRight = state.filterRight;
+    this.sampleCount = 0;
   };
 
   APU.registers = {
@@ -4463,272 +5782,238 @@ var GameboyJS;
     NR52: 0xff26,
   };
   GameboyJS.APU = APU;
-})(GameboyJS || (GameboyJS = {}));
-
-var GameboyJS;
-(function (GameboyJS) {
-  "use strict";
-  var Channel1 = function (apu, channelNumber, audioContext) {
-    this.apu = apu;
-    this.channelNumber = channelNumber;
-    this.playing = false;
-
-    this.soundLengthUnit = 0x4000; // 1 / 256 second of instructions
-    this.soundLength = 64; // defaults to 64 periods
-    this.lengthCheck = false;
-
-    this.sweepTime = 0; // from 0 to 7
-    this.sweepStepLength = 0x8000; // 1 / 128 seconds of instructions
-    this.sweepCount = 0;
-    this.sweepShifts = 0;
-    this.sweepSign = 1; // +1 / -1 for increase / decrease freq
 
+  // Length counter, volume envelope and trigger shared by the channels
+  // A channel is enabled by a trigger and disabled when its length runs
+  // out or its DAC is turned off
+  var Channel = function (maxLength) {
+    this.enabled = false;
+    this.dacEnabled = false;
+    this.maxLength = maxLength;
+    this.length = 0;
+    this.lengthEnabled = false;
     this.frequency = 0;
-
-    this.envelopeStep = 0;
-    this.envelopeStepLength = 0x10000; // 1 / 64 seconds of instructions
-    this.envelopeCheck = false;
-    this.envelopeSign = 1;
-
-    this.clockLength = 0;
-    this.clockEnvelop = 0;
-    this.clockSweep = 0;
-
-    var gainNode = audioContext.createGain();
-    gainNode.gain.value = 0;
-    var oscillator = audioContext.createOscillator();
-    oscillator.type = "square";
-    oscillator.frequency.value = 1000;
-    oscillator.connect(gainNode);
-    oscillator.start(0);
-
-    this.audioContext = audioContext;
-    this.gainNode = gainNode;
-    this.oscillator = oscillator;
-  };
-
-  Channel1.prototype.play = function () {
-    if (this.playing) return;
-    this.playing = true;
-    this.apu.setSoundFlag(this.channelNumber, 1);
-    this.gainNode.connect(this.audioContext.destination);
-    this.clockLength = 0;
-    this.clockEnvelop = 0;
-    this.clockSweep = 0;
-    if (this.sweepShifts > 0) this.checkFreqSweep();
-  };
-  Channel1.prototype.stop = function () {
-    this.playing = false;
-    this.apu.setSoundFlag(this.channelNumber, 0);
-    this.gainNode.disconnect();
-  };
-  Channel1.prototype.checkFreqSweep = function () {
-    var oldFreq = this.getFrequency();
-    var newFreq = oldFreq + this.sweepSign * (oldFreq >> this.sweepShifts);
-    if (newFreq > 0x7ff) {
-      newFreq = 0;
-      this.stop();
+    this.timer = 0;
+    this.volume = 0;
+    this.envelopeVolume = 0;
+    this.envelopeIncrease = false;
+    this.envelopePeriod = 0;
+    this.envelopeTimer = 0;
+  };
+
+  Channel.prototype.setLength = function (value) {
+    this.length = this.maxLength - value;
+  };
+
+  // NRx2: initial volume, direction and period of the envelope
+  Channel.prototype.setEnvelope = function (value) {
+    this.envelopeVolume = value >> 4;
+    this.envelopeIncrease = (value & 0x08) != 0;
+    this.envelopePeriod = value & 7;
+    this.dacEnabled = (value & 0xf8) != 0;
+    if (!this.dacEnabled) {
+      this.enabled = false;
     }
-
-    return newFreq;
   };
-  Channel1.prototype.update = function (clockElapsed) {
-    this.clockEnvelop += clockElapsed;
-    this.clockSweep += clockElapsed;
 
-    if (
-      (this.sweepCount || this.sweepTime) &&
-      this.clockSweep > this.sweepStepLength * this.sweepTime
-    ) {
-      this.clockSweep -= this.sweepStepLength * this.sweepTime;
-      this.sweepCount--;
-
-      var newFreq = this.checkFreqSweep(); // process and check new freq
-
-      this.apu.memory[0xff13] = newFreq & 0xff;
-      this.apu.memory[0xff14] &= 0xf8;
-      this.apu.memory[0xff14] |= (newFreq & 0x700) >> 8;
-      this.setFrequency(newFreq);
+  // NRx4: frequency high bits, length enable and trigger
+  Channel.prototype.writeControl = function (value) {
+    this.frequency = (this.frequency & 0xff) | ((value & 7) << 8);
+    this.lengthEnabled = (value & 0x40) != 0;
+    if (value & 0x80) {
+      this.trigger();
+    }
+  };
 
-      this.checkFreqSweep(); // check again with new value
+  Channel.prototype.trigger = function () {
+    this.enabled = this.dacEnabled;
+    if (this.length == 0) {
+      this.length = this.maxLength;
     }
+    this.timer = this.getPeriod();
+    this.volume = this.envelopeVolume;
+    this.envelopeTimer = this.envelopePeriod;
+  };
 
-    if (this.envelopeCheck && this.clockEnvelop > this.envelopeStepLength) {
-      this.clockEnvelop -= this.envelopeStepLength;
-      this.envelopeStep--;
-      this.setEnvelopeVolume(this.envelopeVolume + this.envelopeSign);
-      if (this.envelopeStep <= 0) {
-        this.envelopeCheck = false;
+  Channel.prototype.clockLength = function () {
+    if (this.lengthEnabled && this.length > 0) {
+      this.length--;
+      if (this.length == 0) {
+        this.enabled = false;
       }
     }
+  };
 
-    if (this.lengthCheck) {
-      this.clockLength += clockElapsed;
-      if (this.clockLength > this.soundLengthUnit) {
-        this.soundLength--;
-        this.clockLength -= this.soundLengthUnit;
-        if (this.soundLength == 0) {
-          this.setLength(0);
-          this.stop();
-        }
-      }
+  Channel.prototype.clockEnvelope = function () {
+    if (this.envelopePeriod == 0 || --this.envelopeTimer > 0) {
+      return;
+    }
+    this.envelopeTimer = this.envelopePeriod;
+    if (this.envelopeIncrease && this.volume < 15) {
+      this.volume++;
+    } else if (!this.envelopeIncrease && this.volume > 0) {
+      this.volume--;
     }
   };
-  Channel1.prototype.setFrequency = function (value) {
-    this.frequency = value;
-    this.oscillator.frequency.value = 131072 / (2048 - this.frequency);
+
+  // Run the frequency timer, stepping the waveform each period
+  Channel.prototype.update = function (clockElapsed) {
+    this.timer -= clockElapsed;
+    while (this.timer <= 0) {
+      this.timer += this.getPeriod();
+      this.step();
+    }
   };
-  Channel1.prototype.getFrequency = function () {
-    return this.frequency;
+
+  Channel.prototype.getState = function () {
+    var state = {};
+    for (var name in this) {
+      if (this.hasOwnProperty(name)) {
+        state[name] = this[name];
+      }
+    }
+    return state;
+  };
+
+  // Channels 1 and 2, channel 1 also has a frequency sweep
+  var SquareChannel = function (hasSweep) {
+    Channel.call(this, 64);
+    this.hasSweep = hasSweep;
+    this.duty = 0;
+    this.dutyStep = 0;
+    this.sweepPeriod = 0;
+    this.sweepNegate = false;
+    this.sweepShift = 0;
+    this.sweepTimer = 0;
+    this.sweepEnabled = false;
+    this.shadowFrequency = 0;
+  };
+  SquareChannel.prototype = Object.create(Channel.prototype);
+
+  SquareChannel.DUTY = [
+    [0, 0, 0, 0, 0, 0, 0, 1],
+    [1, 0, 0, 0, 0, 0, 0, 1],
+    [1, 0, 0, 0, 0, 1, 1, 1],
+    [0, 1, 1, 1, 1, 1, 1, 0]
+  ];
+
+  SquareChannel.prototype.getPeriod = function () {
+    return (2048 - this.frequency) * 4;
   };
-  Channel1.prototype.setLength = function (value) {
-    this.soundLength = 64 - (value & 0x3f);
+
+  SquareChannel.prototype.step = function () {
+    this.dutyStep = (this.dutyStep + 1) & 7;
   };
-  Channel1.prototype.setEnvelopeVolume = function (volume) {
-    this.envelopeCheck = volume > 0 && volume < 16 ? true : false;
-    this.envelopeVolume = volume;
-    this.gainNode.gain.value = (this.envelopeVolume * 1) / 100;
+
+  SquareChannel.prototype.output = function () {
+    return SquareChannel.DUTY[this.duty][this.dutyStep] * this.volume;
   };
-  Channel1.prototype.disable = function () {
-    this.oscillator.disconnect();
+
+  SquareChannel.prototype.trigger = function () {
+    Channel.prototype.trigger.call(this);
+    if (!this.hasSweep) {
+      return;
+    }
+    this.shadowFrequency = this.frequency;
+    this.sweepTimer = this.sweepPeriod || 8;
+    this.sweepEnabled = this.sweepPeriod > 0 || this.sweepShift > 0;
+    if (this.sweepShift > 0) {
+      this.getSweepFrequency();
+    }
   };
-  Channel1.prototype.enable = function () {
-    this.oscillator.connect(this.gainNode);
+
+  // Next frequency of the sweep, an overflow disables the channel
+  SquareChannel.prototype.getSweepFrequency = function () {
+    var delta = this.shadowFrequency >> this.sweepShift;
+    var frequency = this.sweepNegate
+      ? this.shadowFrequency - delta
+      : this.shadowFrequency + delta;
+    if (frequency > 0x7ff) {
+      this.enabled = false;
+    }
+    return frequency;
   };
-  GameboyJS.Channel1 = Channel1;
-})(GameboyJS || (GameboyJS = {}));
 
-var GameboyJS;
-(function (GameboyJS) {
-  "use strict";
-  var Channel3 = function (apu, channelNumber, audioContext) {
-    this.apu = apu;
-    this.channelNumber = channelNumber;
-    this.playing = false;
-
-    this.soundLength = 0;
-    this.soundLengthUnit = 0x4000; // 1 / 256 second of instructions
-    this.lengthCheck = false;
-
-    this.clockLength = 0;
-
-    this.buffer = new Float32Array(32);
-
-    var gainNode = audioContext.createGain();
-    gainNode.gain.value = 1;
-    this.gainNode = gainNode;
-
-    this.baseSpeed = 65536;
-    var waveBuffer = audioContext.createBuffer(1, 32, this.baseSpeed);
-
-    var bufferSource = audioContext.createBufferSource();
-    bufferSource.buffer = waveBuffer;
-    bufferSource.loop = true;
-    bufferSource.connect(gainNode);
-    bufferSource.start(0);
-
-    this.audioContext = audioContext;
-    this.waveBuffer = waveBuffer;
-    this.bufferSource = bufferSource;
-  };
-  Channel3.prototype.play = function () {
-    if (this.playing) return;
-    this.playing = true;
-    this.apu.setSoundFlag(this.channelNumber, 1);
-    this.waveBuffer.copyToChannel(this.buffer, 0, 0);
-
-    this.gainNode.connect(this.audioContext.destination);
-    this.clockLength = 0;
-  };
-  Channel3.prototype.stop = function () {
-    this.playing = false;
-    this.apu.setSoundFlag(this.channelNumber, 0);
-    this.gainNode.disconnect();
-  };
-  Channel3.prototype.update = function (clockElapsed) {
-    if (this.lengthCheck) {
-      this.clockLength += clockElapsed;
-      if (this.clockLength > this.soundLengthUnit) {
-        this.soundLength--;
-        this.clockLength -= this.soundLengthUnit;
-        if (this.soundLength == 0) {
-          this.setLength(0);
-          this.stop();
-        }
-      }
+  // Returns true when the sweep changed the frequency
+  SquareChannel.prototype.clockSweep = function () {
+    if (!this.hasSweep || --this.sweepTimer > 0) {
+      return false;
     }
+    this.sweepTimer = this.sweepPeriod || 8;
+    if (!this.sweepEnabled || this.sweepPeriod == 0) {
+      return false;
+    }
+    var frequency = this.getSweepFrequency();
+    if (frequency > 0x7ff || this.sweepShift == 0) {
+      return false;
+    }
+    this.frequency = this.shadowFrequency = frequency;
+    this.getSweepFrequency();
+    return true;
   };
-  Channel3.prototype.setFrequency = function (value) {
-    value = 65536 / (2048 - value);
-    this.bufferSource.playbackRate.value = value / this.baseSpeed;
+
+  // Channel 3 plays the 32 4-bit samples of the wave RAM
+  var WaveChannel = function () {
+    Channel.call(this, 256);
+    this.volumeCode = 0;
+    this.position = 0;
   };
-  Channel3.prototype.getFrequency = function () {
-    var freq =
-      2048 - 65536 / (this.bufferSource.playbackRate.value * this.baseSpeed);
-    return freq | 1;
+  WaveChannel.prototype = Object.create(Channel.prototype);
+
+  // Right shift of the samples for each NR32 volume code
+  WaveChannel.VOLUME_SHIFT = [4, 0, 1, 2];
+
+  WaveChannel.prototype.getPeriod = function () {
+    return (2048 - this.frequency) * 2;
   };
-  Channel3.prototype.setLength = function (value) {
-    this.soundLength = 256 - value;
+
+  WaveChannel.prototype.step = function () {
+    this.position = (this.position + 1) & 31;
   };
-  Channel3.prototype.setWaveBufferByte = function (index, value) {
-    var bufferIndex = index * 2;
 
-    this.buffer[bufferIndex] = (value >> 4) / 8 - 1; // value in buffer is in -1 -> 1
-    this.buffer[bufferIndex + 1] = (value & 0x0f) / 8 - 1;
+  WaveChannel.prototype.trigger = function () {
+    Channel.prototype.trigger.call(this);
+    this.position = 0;
   };
-  Channel3.prototype.disable = function () {
-    this.bufferSource.disconnect();
+
+  WaveChannel.prototype.output = function (memory) {
+    var sample = memory[0xff30 + (this.position >> 1)];
+    sample = this.position & 1 ? sample & 0x0f : sample >> 4;
+    return sample >> WaveChannel.VOLUME_SHIFT[this.volumeCode];
   };
-  Channel3.prototype.enable = function () {
-    this.bufferSource.connect(this.gainNode);
+
+  // Channel 4 outputs the bits of a linear feedback shift register
+  var NoiseChannel = function () {
+    Channel.call(this, 64);
+    this.shift = 0;
+    this.widthMode = false;
+    this.divisorCode = 0;
+    this.lfsr = 0x7fff;
   };
-  GameboyJS.Channel3 = Channel3;
-})(GameboyJS || (GameboyJS = {}));
+  NoiseChannel.prototype = Object.create(Channel.prototype);
 
-var GameboyJS;
-(function (GameboyJS) {
-  "use strict";
-  var Channel4 = function (apu, channelNumber, audioContext) {
-    this.apu = apu;
-    this.channelNumber = channelNumber;
-    this.playing = false;
-
-    this.soundLengthUnit = 0x4000; // 1 / 256 second of instructions
-    this.soundLength = 64; // defaults to 64 periods
-    this.lengthCheck = false;
-
-    this.clockLength = 0;
-
-    this.audioContext = audioContext;
-  };
-
-  Channel4.prototype.play = function () {
-    if (this.playing) return;
-    this.playing = true;
-    this.apu.setSoundFlag(this.channelNumber, 1);
-    this.clockLength = 0;
-  };
-  Channel4.prototype.stop = function () {
-    this.playing = false;
-    this.apu.setSoundFlag(this.channelNumber, 0);
-  };
-  Channel4.prototype.update = function (clockElapsed) {
-    if (this.lengthCheck) {
-      this.clockLength += clockElapsed;
-      if (this.clockLength > this.soundLengthUnit) {
-        this.soundLength--;
-        this.clockLength -= this.soundLengthUnit;
-        if (this.soundLength == 0) {
-          this.setLength(0);
-          this.stop();
-        }
-      }
+  NoiseChannel.DIVISORS = [8, 16, 32, 48, 64, 80, 96, 112];
+
+  NoiseChannel.prototype.getPeriod = function () {
+    return NoiseChannel.DIVISORS[this.divisorCode] << this.shift;
+  };
+
+  NoiseChannel.prototype.step = function () {
+    var bit = (this.lfsr ^ (this.lfsr >> 1)) & 1;
+    this.lfsr = (this.lfsr >> 1) | (bit << 14);
+    if (this.widthMode) {
+      this.lfsr = (this.lfsr & ~0x40) | (bit << 6);
     }
   };
-  Channel4.prototype.setLength = function (value) {
-    this.soundLength = 64 - (value & 0x3f);
+
+  NoiseChannel.prototype.trigger = function () {
+    Channel.prototype.trigger.call(this);
+    this.lfsr = 0x7fff;
+  };
+
+  NoiseChannel.prototype.output = function () {
+    return (~this.lfsr & 1) * this.volume;
   };
-  GameboyJS.Channel4 = Channel4;
 })(GameboyJS || (GameboyJS = {}));
 
 var GameboyJS;
@@ -4803,6 +6088,15 @@ var GameboyJS;
     this.divTime = 0;
     this.memory[this.DIV] = 0; // direct write to avoid looping
   };
+
+  Timer.prototype.getState = function () {
+    return { mainTime: this.mainTime, divTime: this.divTime };
+  };
+
+  Timer.prototype.setState = function (state) {
+    this.mainTime = state.mainTime;
+    this.divTime = state.divTime;
+  };
   GameboyJS.Timer = Timer;
 })(GameboyJS || (GameboyJS = {}));
 
@@ -4849,11 +6143,30 @@ var GameboyJS;
     readBit: function (byte, index) {
       return (byte >> index) & 1;
     },
+
+    // encode an array of bytes as a hex string (used by save states)
+    bytesToHex: function (bytes) {
+      var hex = "";
+      for (var i = 0; i < bytes.length; i++) {
+        hex += ((bytes[i] & 0xff) | 0x100).toString(16).substring(1);
+      }
+      return hex;
+    },
+
+    // decode a hex string from bytesToHex() into a Uint8Array
+    hexToBytes: function (hex) {
+      var bytes = new Uint8Array(hex.length / 2);
+      for (var i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+      }
+      return bytes;
+    },
   };
 
   GameboyJS.Util = Util;
 })(GameboyJS || (GameboyJS = {}));
 
 GameboyJS.DISABLED_INTERRUPTS = [];
+GameboyJS.RTC_START = 0;
 
 module.exports = GameboyJS;
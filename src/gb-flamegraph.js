@@ -6,11 +6,52 @@ const { program } = require("commander");
 const { createCanvas } = require("canvas");
 const BenchmarkRunner = require("./core/benchmark");
 const { INTERRUPTS } = require("./core/noi-parser");
+const { parseTrigger } = require("./core/triggers");
+const { parseRtcTime } = require("./core/rtc");
+const { createCallgrind } = require("./core/callgrind");
+const { createChromeTrace } = require("./core/chrome-trace");
+const {
+  getFoldedStacks,
+  getFoldedStacksPerFrame,
+  formatFoldedStacks,
+} = require("./core/folded");
+const { createFlamegraphSvg } = require("./core/flamegraph-svg");
+const { parseBudgets, checkBudgets } = require("./core/budgets");
+const { formatPacingReport } = require("./core/pacing");
+const {
+  formatDisabledWindowsReport,
+  formatInterruptLatencyReport,
+} = require("./core/interrupt-timing");
+const { formatSerialReport } = require("./core/serial");
+const { formatDebugMarkersReport } = require("./core/debug-messages");
+const {
+  DIFF_METRICS,
+  diffTraces,
+  findRegressions,
+  formatDiffReport,
+} = require("./core/trace-diff");
+
+const EXPORT_FORMATS = [
+  "speedscope",
+  "callgrind",
+  "chrome",
+  "folded",
+  "folded-frames",
+  "svg",
+];
 
 program
   .name("gb-flamegraph")
   .description("A tool for creating flame graphs from Game Boy ROMs")
-  .requiredOption("-r, --rom <filename>", "Path to the ROM file")
+  .option("-r, --rom <filename>", "Path to the ROM file (required)")
+  .option(
+    "-y, --symbols <filename>",
+    "Path to the symbol file (.noi or .sym), defaults to the ROM path with a .noi or .sym extension",
+  )
+  .option(
+    "--cdb <filename>",
+    "Path to the SDCC .cdb file for source line cycle counts, defaults to the ROM path with a .cdb extension when present",
+  )
   .option("-i, --input <inputfile>", "Path to the input file")
   .option("-e, --export <filename>", "Path to export results to")
   .option(
@@ -37,61 +78,171 @@ program
     },
     "all",
   )
+  .option(
+    "--format <formats>",
+    `Comma separated export formats (${EXPORT_FORMATS.map((f) => `"${f}"`).join(", ")})`,
+    (value) => {
+      const formats = value.split(",").map((format) => format.trim());
+      for (const format of formats) {
+        if (!EXPORT_FORMATS.includes(format)) {
+          throw new Error(`Invalid value for --format: ${format}`);
+        }
+      }
+      return formats;
+    },
+    ["speedscope"],
+  )
+  .option(
+    "-t, --tracking <mode>",
+    'Call stack tracking ("regions", "calls")',
+    (value) => {
+      const allowed = ["regions", "calls"];
+      if (!allowed.includes(value)) {
+        throw new Error(`Invalid value for --tracking: ${value}`);
+      }
+      return value;
+    },
+    "regions",
+  )
   .option(
     "-d, --disable-interrupts <list>",
     "Disable interrupts during benchmarking",
   )
+  .option(
+    "--start-on <trigger>",
+    'Start recording when a trigger fires ("call:<symbol>", "return:<symbol>", "ram:<symbol><op><value>")',
+    parseTrigger,
+  )
+  .option(
+    "--stop-on <trigger>",
+    "Stop recording when a trigger fires, --frames is then the maximum to record",
+    parseTrigger,
+  )
+  .option(
+    "--trigger-timeout <number>",
+    "Frames to wait for the start trigger",
+    (value) => parseInt(value, 10),
+    3600,
+  )
+  .option(
+    "--sync <symbol>",
+    "Function the game loop calls once per logic frame (e.g. _vsync), enables the pacing report",
+  )
+  .option(
+    "--target-frames <number>",
+    "Frames per logic frame the game aims for, longer logic frames count as lag",
+    (value) => parseInt(value, 10),
+    1,
+  )
+  .option(
+    "--idle-symbols <list>",
+    "Comma separated wait functions whose own cycles count as idle (e.g. _wait_vram)",
+  )
+  .option("--no-spin", "Don't record busy-wait loops as [SPIN] idle time")
+  .option(
+    "--sav <file>",
+    "Battery save (.sav) to load into the cartridge RAM, the final RAM is written to the export folder",
+  )
+  .option(
+    "--rtc <time>",
+    'Cartridge clock time at power on, in seconds or "[days:]hh:mm:ss", the clock then follows emulated time',
+    parseRtcTime,
+  )
+  .option(
+    "--no-audio",
+    "Don't write the sound of the recorded frames to audio.wav in the export folder",
+  )
+  .option("--load-state <file>", "Resume from a save state file")
+  .option("--save-state <file>", "Save the machine state after the last frame")
+  .option(
+    "--budgets <file>",
+    "Check the M-cycles of functions per frame against a budgets JSON file, exits with code 1 when a budget is broken",
+  )
+  .option(
+    "--budgets-report <file>",
+    "Path to write the budget results to, defaults to budgets-report.json in the export folder",
+  )
   .option("-v, --verbose", "Enable verbose call trace output")
   .helpOption("-h, --help", "Display help for command")
-  .parse(process.argv);
-
-const options = program.opts();
-
-// Load ROM data
-const romData = fs.readFileSync(options.rom);
-
-// Load NOI data if available
-let noiData = null;
-try {
-  noiData = fs.readFileSync(options.rom.replace(/\.(gbc|gb)/i, ".noi"), "utf8");
-} catch (e) {
-  console.error("No .noi file found for ROM");
-}
-
-// Load input data if provided
-let inputData = null;
-if (options.input) {
-  const inputFile = fs.readFileSync(options.input, "utf-8");
-  inputData = JSON.parse(inputFile);
-}
-
-// Parse disabled interrupts
-const disabledInterrupts = [];
-if (options.disableInterrupts) {
-  const disableList = options.disableInterrupts
-    .split(",")
-    .map((name) => name.trim().toUpperCase());
-  for (let i = 0; i < INTERRUPTS.length; i++) {
-    const interrupt = INTERRUPTS[i];
-    if (disableList.includes(interrupt.name)) {
-      disabledInterrupts.push(i);
+  .enablePositionalOptions()
+  .action(() =>
+    main().catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    }),
+  );
+
+program
+  .command("diff")
+  .description(
+    "Compare two speedscope.json traces and fail when functions got slower",
+  )
+  .argument("<old>", "Path to the baseline speedscope.json")
+  .argument("<new>", "Path to the speedscope.json to compare")
+  .option(
+    "--metric <metric>",
+    `Metric checked against the thresholds (${DIFF_METRICS.map((m) => `"${m}"`).join(", ")})`,
+    (value) => {
+      if (!DIFF_METRICS.includes(value)) {
+        throw new Error(`Invalid value for --metric: ${value}`);
+      }
+      return value;
+    },
+    "frame",
+  )
+  .option("--self", "Check self cycles instead of inclusive cycles")
+  .option(
+    "--threshold-percent <number>",
+    "Fail when a function grows by more than this percentage",
+    parseFloat,
+  )
+  .option(
+    "--threshold-mcycles <number>",
+    "Fail when a function grows by more than this many M-cycles",
+    parseFloat,
+  )
+  .option(
+    "--limit <number>",
+    "Number of functions to list",
+    (value) => parseInt(value, 10),
+    20,
+  )
+  .option("--json <filename>", "Write the comparison to a JSON file")
+  .action((oldPath, newPath, diffOptions) => {
+    const diff = diffTraces(
+      JSON.parse(fs.readFileSync(oldPath, "utf8")),
+      JSON.parse(fs.readFileSync(newPath, "utf8")),
+    );
+    let regressions;
+    try {
+      regressions = findRegressions(diff, diffOptions);
+    } catch (error) {
+      program.error(`error: ${error.message}`);
     }
-  }
-}
 
-// Setup export paths
-let exportPath = null;
-let capturePath = null;
+    console.log(formatDiffReport(diff, diffOptions));
 
-if (options.export) {
-  exportPath = path.resolve(options.export);
-  capturePath = path.join(exportPath, "captures");
-  if (options.capture === "all") {
-    fs.mkdirSync(capturePath, { recursive: true });
-  } else {
-    fs.mkdirSync(exportPath, { recursive: true });
-  }
-}
+    if (diffOptions.json) {
+      fs.writeFileSync(
+        diffOptions.json,
+        JSON.stringify({ ...diff, regressions }, null, 2),
+      );
+    }
+
+    if (regressions.length > 0) {
+      console.log("");
+      console.log(`${regressions.length} function(s) over the threshold:`);
+      for (const { name, old, new: value, percent } of regressions) {
+        const change = Number.isFinite(percent)
+          ? `+${percent.toFixed(1)}%`
+          : "new";
+        console.log(
+          `* ${name}: ${Math.round(old / 4)} -> ${Math.round(value / 4)} M-cycles (${change})`,
+        );
+      }
+      process.exitCode = 1;
+    }
+  });
 
 // Save frame as PNG
 const saveFramePng = async (canvas, outPath) => {
@@ -103,16 +254,117 @@ const saveFramePng = async (canvas, outPath) => {
 
 // Main execution
 const main = async () => {
+  const options = program.opts();
+  if (!options.rom) {
+    program.error(
+      "error: required option '-r, --rom <filename>' not specified",
+    );
+  }
+
+  // Load ROM data
+  const romData = fs.readFileSync(options.rom);
+
+  // Load symbol data if available, the format is detected by the runner
+  let noiData = null;
+  const symbolPaths = options.symbols
+    ? [options.symbols]
+    : [".noi", ".sym"]
+        .map((ext) => options.rom.replace(/\.(gbc|gb)$/i, ext))
+        .filter((symbolPath) => symbolPath !== options.rom);
+  for (const symbolPath of symbolPaths) {
+    try {
+      noiData = fs.readFileSync(symbolPath, "utf8");
+      break;
+    } catch (e) {}
+  }
+  if (noiData === null) {
+    console.error(`No symbol file found for ROM (${symbolPaths.join(", ")})`);
+  }
+
+  // Load CDB data if provided or found next to the ROM
+  let cdbData = null;
+  const cdbPath = options.cdb || options.rom.replace(/\.(gbc|gb)$/i, ".cdb");
+  if (options.cdb || (cdbPath !== options.rom && fs.existsSync(cdbPath))) {
+    cdbData = fs.readFileSync(cdbPath, "utf8");
+  }
+
+  // Load input data if provided, the format is detected by the runner
+  let inputData = null;
+  if (options.input) {
+    inputData = fs.readFileSync(options.input);
+  }
+
+  // Load budgets if provided
+  let budgets = null;
+  if (options.budgets) {
+    budgets = parseBudgets(fs.readFileSync(options.budgets, "utf8"));
+  }
+
+  // Load battery save if provided
+  let savData = null;
+  if (options.sav) {
+    savData = fs.readFileSync(options.sav);
+  }
+
+  // Load save state if provided
+  let loadState = null;
+  if (options.loadState) {
+    loadState = JSON.parse(fs.readFileSync(options.loadState, "utf-8"));
+  }
+
+  // Parse disabled interrupts
+  const disabledInterrupts = [];
+  if (options.disableInterrupts) {
+    const disableList = options.disableInterrupts
+      .split(",")
+      .map((name) => name.trim().toUpperCase());
+    for (let i = 0; i < INTERRUPTS.length; i++) {
+      const interrupt = INTERRUPTS[i];
+      if (disableList.includes(interrupt.name)) {
+        disabledInterrupts.push(i);
+      }
+    }
+  }
+
+  // Setup export paths
+  let exportPath = null;
+  let capturePath = null;
+
+  if (options.export) {
+    exportPath = path.resolve(options.export);
+    capturePath = path.join(exportPath, "captures");
+    if (options.capture === "all") {
+      fs.mkdirSync(capturePath, { recursive: true });
+    } else {
+      fs.mkdirSync(exportPath, { recursive: true });
+    }
+  }
+
   const runner = new BenchmarkRunner({
     romData,
     noiData,
+    cdbData,
     inputData,
+    savData,
     createCanvas: (w, h) => createCanvas(w, h),
     startFrame: options.startFrame,
     frames: options.frames,
     captureMode: options.capture,
+    tracking: options.tracking,
     verbose: options.verbose,
     disabledInterrupts,
+    loadState,
+    saveState: !!options.saveState,
+    startTrigger: options.startOn,
+    stopTrigger: options.stopOn,
+    triggerTimeout: options.triggerTimeout,
+    syncSymbol: options.sync,
+    targetFrames: options.targetFrames,
+    rtcStart: options.rtc,
+    detectSpin: options.spin,
+    idleSymbols: options.idleSymbols
+      ? options.idleSymbols.split(",").map((symbol) => symbol.trim())
+      : [],
     onFrameComplete: async (frameIndex, canvas) => {
       if (!exportPath) return null;
 
@@ -130,23 +382,135 @@ const main = async () => {
     },
   });
 
-  const { speedscope } = await runner.run();
+  const { speedscope, state, sav, wav } = await runner.run();
+
+  if (options.saveState) {
+    fs.writeFileSync(options.saveState, JSON.stringify(state));
+  }
+
+  if (exportPath && sav) {
+    const savName = path.basename(options.rom).replace(/\.(gbc|gb)$/i, "");
+    fs.writeFileSync(path.join(exportPath, `${savName}.sav`), sav);
+  }
+
+  if (exportPath && options.audio) {
+    fs.writeFileSync(path.join(exportPath, "audio.wav"), wav);
+  }
+
+  if (options.verbose) {
+    console.log(formatDisabledWindowsReport(speedscope.interruptsDisabled));
+    console.log(formatInterruptLatencyReport(speedscope.interruptLatency));
+  }
+
+  if (speedscope.pacing) {
+    console.log(formatPacingReport(speedscope.pacing));
+  }
+
+  if (speedscope.serial.lines.length > 0) {
+    console.log(formatSerialReport(speedscope.serial));
+  }
+
+  if (speedscope.markers.length > 0) {
+    console.log(formatDebugMarkersReport(speedscope.markers));
+  }
 
   // Export results if export path specified
-  if (exportPath) {
+  if (exportPath && options.format.includes("speedscope")) {
     const speedscopePath = path.join(exportPath, "speedscope.json");
     fs.writeFileSync(speedscopePath, JSON.stringify(speedscope, null, 4));
 
     if (options.capture === "all") {
       const htmlPath = path.join(exportPath, "index.html");
+      // Symbol names and debug messages must not close the script tag, and
+      // "$" patterns in them must not be expanded by replace
+      const json = JSON.stringify(speedscope).replace(/</g, "\\u003c");
       const htmlTemplate = fs
         .readFileSync(path.join(__dirname, "template/index.html"), "utf8")
-        .replace("|SPEEDSCOPE_DATA|", JSON.stringify(speedscope));
+        .replace("|SPEEDSCOPE_DATA|", () => json);
       fs.writeFileSync(htmlPath, htmlTemplate);
     }
   }
 
-  process.exit(0);
+  if (exportPath && options.format.includes("callgrind")) {
+    const callgrindPath = path.join(exportPath, "callgrind.out");
+    fs.writeFileSync(
+      callgrindPath,
+      createCallgrind(speedscope, { cmd: path.basename(options.rom) }),
+    );
+  }
+
+  if (exportPath && options.format.includes("chrome")) {
+    const chromeTracePath = path.join(exportPath, "chrome-trace.json");
+    fs.writeFileSync(
+      chromeTracePath,
+      JSON.stringify(
+        createChromeTrace(speedscope, { name: path.basename(options.rom) }),
+      ),
+    );
+  }
+
+  if (exportPath && options.format.includes("folded")) {
+    const foldedPath = path.join(exportPath, "stacks.folded");
+    fs.writeFileSync(
+      foldedPath,
+      formatFoldedStacks(getFoldedStacks(speedscope)),
+    );
+  }
+
+  if (exportPath && options.format.includes("folded-frames")) {
+    const foldedFramesPath = path.join(exportPath, "folded");
+    fs.mkdirSync(foldedFramesPath, { recursive: true });
+    for (const { frameNumber, stacks } of getFoldedStacksPerFrame(speedscope)) {
+      const filename = `frame_${String(frameNumber).padStart(4, "0")}.folded`;
+      fs.writeFileSync(
+        path.join(foldedFramesPath, filename),
+        formatFoldedStacks(stacks),
+      );
+    }
+  }
+
+  if (exportPath && options.format.includes("svg")) {
+    const svgPath = path.join(exportPath, "flamegraph.svg");
+    fs.writeFileSync(
+      svgPath,
+      createFlamegraphSvg(getFoldedStacks(speedscope), {
+        title: path.basename(options.rom),
+      }),
+    );
+  }
+
+  // Check budgets after exporting so the trace of a failed run can be inspected
+  let budgetsBroken = false;
+  if (budgets) {
+    const result = checkBudgets(speedscope, budgets);
+    budgetsBroken = result.violations.length > 0;
+
+    for (const symbol of result.unknownSymbols) {
+      console.error(`Budget symbol not found in trace: ${symbol}`);
+    }
+    for (const budget of budgets) {
+      const broken = result.violations.filter(
+        (v) => v.symbol === budget.symbol,
+      );
+      if (broken.length === 0) continue;
+      const worst = broken.reduce((a, b) => (b.over > a.over ? b : a));
+      console.error(
+        `Budget broken: ${budget.symbol} over ${budget.mcycles} M-cycles in ${broken.length}/${result.frames} frames, worst ${worst.mcycles} M-cycles in frame ${worst.frameNumber} (${worst.stack.join(" > ")})`,
+      );
+    }
+
+    const reportPath =
+      options.budgetsReport ||
+      (exportPath && path.join(exportPath, "budgets-report.json"));
+    if (reportPath) {
+      fs.writeFileSync(
+        reportPath,
+        JSON.stringify({ passed: !budgetsBroken, budgets, ...result }, null, 2),
+      );
+    }
+  }
+
+  process.exit(budgetsBroken ? 1 : 0);
 };
 
-main().catch(console.error);
+program.parse(process.argv);
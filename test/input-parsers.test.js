@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parseInputLog, parseInput } = require("../src/core/input-parsers");
+
+const examples = path.join(__dirname, "..", "examples");
+const readExample = (name) => fs.readFileSync(path.join(examples, name));
+
+describe("parseInputLog", () => {
+  it("parses the example log into the same events as input.json", () => {
+    assert.deepEqual(
+      parseInputLog(readExample("input-log.txt")),
+      JSON.parse(readExample("input.json")),
+    );
+  });
+
+  it("turns held buttons into presses and releases", () => {
+    assert.deepEqual(parseInputLog("10: a, B\n20 start a\n30: -\n"), [
+      { frame: 10, press: ["A", "B"] },
+      { frame: 20, press: ["START"], release: ["B"] },
+      { frame: 30, release: ["START", "A"] },
+    ]);
+  });
+
+  it("skips comments and blank lines", () => {
+    assert.deepEqual(parseInputLog("; header\n\n5: UP # held\r\n"), [
+      { frame: 5, press: ["UP"] },
+    ]);
+  });
+
+  it("accepts binary data", () => {
+    assert.deepEqual(parseInputLog(new TextEncoder().encode("1: A")), [
+      { frame: 1, press: ["A"] },
+    ]);
+  });
+
+  it("rejects invalid lines, unknown buttons and frames out of order", () => {
+    assert.throws(() => parseInputLog("frame 1: A"), /Invalid input log line/);
+    assert.throws(() => parseInputLog("1: TURBO"), /Unknown button/);
+    assert.throws(() => parseInputLog("5: A\n5: B"), /frames must increase/);
+  });
+});
+
+describe("parseInput", () => {
+  const expected = JSON.parse(readExample("input.json"));
+
+  it("detects input logs", () => {
+    assert.deepEqual(parseInput(readExample("input-log.txt")), expected);
+    assert.deepEqual(
+      parseInput(readExample("input-log.txt").toString("utf8")),
+      expected,
+    );
+  });
+
+  it("detects JSON input", () => {
+    assert.deepEqual(parseInput(readExample("input.json")), expected);
+    assert.deepEqual(parseInput(expected), expected);
+  });
+
+  it("detects Mesen input logs", () => {
+    assert.deepEqual(parseInput("|.......A\n|.......A\n|........\n"), [
+      { frame: 0, press: ["A"] },
+      { frame: 2, release: ["A"] },
+    ]);
+  });
+
+  it("uses an explicit format", () => {
+    assert.deepEqual(parseInput("0: START", "log"), [
+      { frame: 0, press: ["START"] },
+    ]);
+    assert.throws(() => parseInput("0: START", "vba"), /Unknown input format/);
+  });
+
+  it("fails on input it cannot detect", () => {
+    assert.throws(() => parseInput("not input"), /Unable to auto-detect/);
+  });
+});
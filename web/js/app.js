@@ -4,12 +4,18 @@
  */
 
 import BenchmarkRunner from "../../src/core/benchmark.js";
+import { parseInput } from "../../src/core/input-parsers.js";
+import { detectSymbolFormat } from "../../src/core/symbol-loader.js";
+import { parseCdb } from "../../src/core/cdb-parser.js";
 import { renderViewer } from "./viewer.js";
 
 // State
 let romData = null;
 let noiData = null;
 let inputData = null;
+let stateData = null;
+let savData = null;
+let cdbData = null;
 let benchmarkResults = null;
 
 // DOM Elements
@@ -17,6 +23,9 @@ const uploadSection = document.getElementById("upload-section");
 const resultsSection = document.getElementById("results-section");
 const runBtn = document.getElementById("run-benchmark");
 const backBtn = document.getElementById("back-btn");
+const saveStateBtn = document.getElementById("save-state-btn");
+const saveSavBtn = document.getElementById("save-sav-btn");
+const saveWavBtn = document.getElementById("save-wav-btn");
 const progressSection = document.getElementById("progress-section");
 const progressFill = document.getElementById("progress-fill");
 const progressText = document.getElementById("progress-text");
@@ -25,10 +34,16 @@ const progressText = document.getElementById("progress-text");
 const romStatus = document.getElementById("rom-status");
 const noiStatus = document.getElementById("noi-status");
 const inputStatus = document.getElementById("input-status");
+const stateStatus = document.getElementById("state-status");
+const savStatus = document.getElementById("sav-status");
+const cdbStatus = document.getElementById("cdb-status");
 
 // Config inputs
 const startFrameInput = document.getElementById("start-frame-input");
 const framesInput = document.getElementById("frames-input");
+const trackingInput = document.getElementById("tracking-input");
+const syncInput = document.getElementById("sync-input");
+const idleSymbolsInput = document.getElementById("idle-symbols-input");
 
 /**
  * Setup drag and drop for file zones
@@ -97,7 +112,13 @@ async function handleFile(file, callback, dropZone) {
   };
 
   // Determine read mode based on file type
-  if (file.name.endsWith(".noi") || file.name.endsWith(".json")) {
+  if (
+    file.name.endsWith(".noi") ||
+    file.name.endsWith(".sym") ||
+    file.name.endsWith(".json") ||
+    file.name.endsWith(".state") ||
+    file.name.endsWith(".cdb")
+  ) {
     reader.readAsText(file);
   } else {
     reader.readAsArrayBuffer(file);
@@ -113,11 +134,17 @@ async function handleRomFile(file, data) {
 }
 
 /**
- * Handle NOI file
+ * Handle symbol file (.noi or .sym)
  */
 async function handleNoiFile(file, data) {
-  noiData = data;
-  noiStatus.textContent = `✓ ${file.name}`;
+  try {
+    const format = detectSymbolFormat(data);
+    noiData = data;
+    noiStatus.textContent = `✓ ${file.name} (${format})`;
+  } catch (e) {
+    noiStatus.textContent = `✗ ${e.message}`;
+    noiData = null;
+  }
 }
 
 /**
@@ -125,14 +152,49 @@ async function handleNoiFile(file, data) {
  */
 async function handleInputFile(file, data) {
   try {
-    inputData = JSON.parse(data);
+    inputData = parseInput(data);
     inputStatus.textContent = `✓ ${file.name} (${inputData.length} events)`;
   } catch (e) {
-    inputStatus.textContent = `✗ Invalid JSON`;
+    inputStatus.textContent = `✗ ${e.message}`;
     inputData = null;
   }
 }
 
+/**
+ * Handle battery save file
+ */
+async function handleSavFile(file, data) {
+  savData = new Uint8Array(data);
+  savStatus.textContent = `✓ ${file.name} (${(data.byteLength / 1024).toFixed(1)} KB)`;
+}
+
+/**
+ * Handle save state file
+ */
+async function handleStateFile(file, data) {
+  try {
+    stateData = JSON.parse(data);
+    stateStatus.textContent = `✓ ${file.name} (frame ${stateData.frame})`;
+  } catch (e) {
+    stateStatus.textContent = `✗ Invalid save state`;
+    stateData = null;
+  }
+}
+
+/**
+ * Handle CDB debug info file
+ */
+async function handleCdbFile(file, data) {
+  const lines = parseCdb(data);
+  if (lines.length > 0) {
+    cdbData = data;
+    cdbStatus.textContent = `✓ ${file.name} (${lines.length} lines)`;
+  } else {
+    cdbStatus.textContent = `✗ No source lines found`;
+    cdbData = null;
+  }
+}
+
 /**
  * Check if ready to run benchmark
  */
@@ -147,6 +209,12 @@ async function runBenchmark() {
   // Get config
   const startFrame = parseInt(startFrameInput.value, 10);
   const frames = parseInt(framesInput.value, 10);
+  const tracking = trackingInput.value;
+  const syncSymbol = syncInput.value.trim() || undefined;
+  const idleSymbols = idleSymbolsInput.value
+    .split(",")
+    .map((symbol) => symbol.trim())
+    .filter(Boolean);
 
   const totalFrames = startFrame + frames;
 
@@ -163,7 +231,9 @@ async function runBenchmark() {
     const runner = new BenchmarkRunner({
       romData,
       noiData,
+      cdbData,
       inputData,
+      savData,
       createCanvas: (width, height) => {
         const canvas = document.createElement("canvas");
         canvas.width = width;
@@ -173,8 +243,13 @@ async function runBenchmark() {
       startFrame,
       frames,
       captureMode: "all",
+      tracking,
+      syncSymbol,
+      idleSymbols,
       verbose: false,
       disabledInterrupts: [],
+      loadState: stateData,
+      saveState: true,
       onProgress: (current, total) => {
         const percent = (current / total) * 100;
         progressFill.style.width = `${percent}%`;
@@ -209,10 +284,56 @@ function showResults(results) {
   uploadSection.style.display = "none";
   resultsSection.style.display = "flex";
 
+  // Only cartridges with RAM have a battery save to download
+  saveSavBtn.style.display = results.sav ? "" : "none";
+
   // Render the flamegraph viewer
   renderViewer(results.speedscope);
 }
 
+/**
+ * Download the save state from the last run
+ */
+function downloadState() {
+  if (!benchmarkResults?.state) return;
+  const blob = new Blob([JSON.stringify(benchmarkResults.state)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `frame_${benchmarkResults.state.frame}.state`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Download the cartridge RAM from the last run as a battery save
+ */
+function downloadSav() {
+  if (!benchmarkResults?.sav) return;
+  const blob = new Blob([benchmarkResults.sav], {
+    type: "application/octet-stream",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `frame_${benchmarkResults.state.frame}.sav`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Download the sound of the recorded frames from the last run
+ */
+function downloadWav() {
+  if (!benchmarkResults?.wav) return;
+  const blob = new Blob([benchmarkResults.wav], { type: "audio/wav" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `frame_${benchmarkResults.state.frame}.wav`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 /**
  * Go back to upload section
  */
@@ -231,10 +352,16 @@ function init() {
   setupDragAndDrop("rom-drop-zone", "rom-file", handleRomFile);
   setupDragAndDrop("noi-drop-zone", "noi-file", handleNoiFile);
   setupDragAndDrop("input-drop-zone", "input-file", handleInputFile);
+  setupDragAndDrop("state-drop-zone", "state-file", handleStateFile);
+  setupDragAndDrop("sav-drop-zone", "sav-file", handleSavFile);
+  setupDragAndDrop("cdb-drop-zone", "cdb-file", handleCdbFile);
 
   // Setup buttons
   runBtn.addEventListener("click", runBenchmark);
   backBtn.addEventListener("click", backToUpload);
+  saveStateBtn.addEventListener("click", downloadState);
+  saveSavBtn.addEventListener("click", downloadSav);
+  saveWavBtn.addEventListener("click", downloadWav);
 
   // Check initial state
   checkReadyToRun();
@@ -5,12 +5,17 @@
 
 const CYCLES_PER_FRAME = 70256;
 const BAR_WIDTH = 10;
+const MAX_SOURCE_LINES = 10;
+const IDLE_SYMBOLS = ["[HALT]", "[STOP]"];
+const SPIN_SYMBOL = "[SPIN]";
+const WAVEFORM_HEIGHT = 24;
 
 const toMCycles = (cycles) => cycles / 4;
 
 let currentFrame = -1;
 let showInterrupts = localStorage.getItem("showInterrupts") === "true";
 let speedscopeData = null;
+let sourceLinesBySymbol = new Map();
 
 let viewerAbortController = null;
 
@@ -65,6 +70,41 @@ function getFunctionColor(name) {
   return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
 }
 
+/**
+ * Group the source line totals of a trace by function
+ */
+function groupSourceLines(lines) {
+  const bySymbol = new Map();
+  for (const line of lines || []) {
+    if (!bySymbol.has(line.symbol)) {
+      bySymbol.set(line.symbol, []);
+    }
+    bySymbol.get(line.symbol).push(line);
+  }
+  return bySymbol;
+}
+
+/**
+ * Describe the hottest source lines of a function over all recorded frames
+ */
+function getSourceLinesTitle(name) {
+  const lines = (sourceLinesBySymbol.get(name) || []).slice(
+    0,
+    MAX_SOURCE_LINES,
+  );
+  if (lines.length === 0) return "";
+
+  const labels = lines.map(({ file, line }) => `${file}:${line}`);
+  const longestLabelLength = Math.max(...labels.map((label) => label.length));
+
+  let title = `\nSource lines (all frames):\n`;
+  lines.forEach(({ cycles }, i) => {
+    const durStr = String(toMCycles(cycles)).padStart(8);
+    title += ` * ${labels[i].padEnd(longestLabelLength)} ${durStr} \n`;
+  });
+  return title;
+}
+
 /**
  * Set the current frame and render flamegraph
  */
@@ -104,6 +144,8 @@ function setFrame(frameIndex) {
     capture.frameNumber !== undefined ? capture.frameNumber : currentFrame;
 
   const frameStart = capture.at;
+  // Older traces don't store the frame length
+  const frameCycles = capture.cycles || CYCLES_PER_FRAME;
   const frameEnd = speedscopeData.captures[currentFrame + 1]?.at || Infinity;
   const events = eventsBetween(
     speedscopeData.profiles[0].events,
@@ -135,10 +177,10 @@ function setFrame(frameIndex) {
 
     const time =
       Math.min(event.end, frameEnd) - Math.max(event.start, frameStart);
-    const timePercentage = 100 * (time / CYCLES_PER_FRAME);
+    const timePercentage = 100 * (time / frameCycles);
     const cycles = event.end - event.start;
     const startTime = Math.max(event.start - frameStart, 0);
-    const startPercentage = 100 * (startTime / CYCLES_PER_FRAME);
+    const startPercentage = 100 * (startTime / frameCycles);
 
     if (previousEvent && event.start < previousEvent.end) {
       indent++;
@@ -242,6 +284,28 @@ function setFrame(frameIndex) {
     title += `Uninterrupted: ${toMCycles(uninterruptedTime)} M-Cycles\n`;
     title += `Total time : ${toMCycles(cycles)} M-Cycles\n`;
     title += `Self time: ${toMCycles(selfTime)} M-Cycles\n`;
+    const idleTime = frameStats
+      .filter(({ name }) => IDLE_SYMBOLS.includes(name))
+      .reduce((sum, { duration }) => sum + duration, 0);
+    if (idleTime > 0) {
+      title += `Idle (HALT/STOP): ${toMCycles(idleTime)} M-Cycles\n`;
+    }
+    const spinSymbols = [SPIN_SYMBOL, ...(speedscopeData.idleSymbols || [])];
+    const spinTime = childEvents
+      .filter((e) =>
+        spinSymbols.includes(speedscopeData.shared.frames[e.frame].name),
+      )
+      .reduce(
+        (sum, e) =>
+          sum +
+          Math.min(e.end, event.end) -
+          Math.max(e.start, event.start) -
+          getDirectChildrenDuration(childEvents, e),
+        0,
+      );
+    if (spinTime > 0) {
+      title += `Idle (spin): ${toMCycles(spinTime)} M-Cycles\n`;
+    }
     title += `\n`;
 
     const longestSymbolLength = Math.max(
@@ -259,8 +323,21 @@ function setFrame(frameIndex) {
       title += ` * ${paddedName} ${durStr} ${bar} \n`;
     }
 
+    title += getSourceLinesTitle(eventFrame.name);
+
     const eventEl = document.createElement("div");
-    eventEl.innerHTML = `<div><strong>${eventFrame.name}</strong><br />${toMCycles(eventFrame.name === "_vsync" ? cycles : uninterruptedTime)}</div>`;
+    // Names come from symbol files and debug messages, not markup
+    const nameEl = document.createElement("strong");
+    nameEl.textContent = eventFrame.name;
+    const labelEl = document.createElement("div");
+    labelEl.append(
+      nameEl,
+      document.createElement("br"),
+      String(
+        toMCycles(eventFrame.name === "_vsync" ? cycles : uninterruptedTime),
+      ),
+    );
+    eventEl.appendChild(labelEl);
     eventEl.dataset.title = title;
     eventEl.style.width = `${timePercentage}%`;
     eventEl.style.minWidth = `${timePercentage}%`;
@@ -276,6 +353,30 @@ function setFrame(frameIndex) {
     previousEvent = event;
   }
 
+  // Mark the lines of serial output completed during the frame
+  for (const line of speedscopeData.serial?.lines || []) {
+    if (line.at < frameStart || line.at >= frameEnd) continue;
+    const markerEl = document.createElement("div");
+    markerEl.className = "serial-marker";
+    markerEl.dataset.title = `Serial output at ${toMCycles(line.at - frameStart)} M-Cycles\n\n${line.text}`;
+    markerEl.style.left = `${(100 * (line.at - frameStart)) / frameCycles}%`;
+    flamegraphEl.appendChild(markerEl);
+  }
+
+  // Mark the debug messages and breakpoints hit during the frame
+  for (const marker of speedscopeData.markers || []) {
+    if (marker.at < frameStart || marker.at >= frameEnd) continue;
+    const markerEl = document.createElement("div");
+    markerEl.className = "debug-marker";
+    const at = toMCycles(marker.at - frameStart);
+    markerEl.dataset.title =
+      marker.type === "breakpoint"
+        ? `Breakpoint in ${marker.symbol} at ${at} M-Cycles`
+        : `Debug message in ${marker.symbol} at ${at} M-Cycles\n\n${marker.text}`;
+    markerEl.style.left = `${(100 * (marker.at - frameStart)) / frameCycles}%`;
+    flamegraphEl.appendChild(markerEl);
+  }
+
   flamegraphEl.style.height = `${(maxIndent + 10) * 30}px`;
   window.location.hash = currentFrame;
 }
@@ -289,6 +390,68 @@ function refreshFrame() {
   setFrame(frame);
 }
 
+/**
+ * Render the pacing track marking the frames the game loop synced in and lag frames
+ */
+function renderPacing(data) {
+  const pacingTrackEl = document.getElementById("pacing-track");
+  const pacingSummaryEl = document.getElementById("pacing-summary");
+
+  pacingTrackEl.innerHTML = "";
+  pacingSummaryEl.textContent = "";
+  if (!data.pacing) return;
+
+  const lagFrames = new Set(data.pacing.lagFrames);
+  const syncFrames = new Set(data.pacing.syncFrames);
+  data.captures.forEach((capture, index) => {
+    const cellEl = document.createElement("div");
+    if (lagFrames.has(capture.frameNumber)) {
+      cellEl.className = "lag";
+      cellEl.title = `Frame ${capture.frameNumber}: lag frame`;
+    } else if (syncFrames.has(capture.frameNumber)) {
+      cellEl.className = "sync";
+      cellEl.title = `Frame ${capture.frameNumber}: ${data.pacing.syncSymbol} called`;
+    }
+    cellEl.addEventListener("click", () => setFrame(index));
+    pacingTrackEl.appendChild(cellEl);
+  });
+  pacingSummaryEl.textContent = `${data.pacing.effectiveFps.toFixed(1)} fps, ${data.pacing.lagFrames.length} lag frames`;
+}
+
+/**
+ * Render the waveform track showing the sound played in each frame
+ */
+function renderWaveform(data) {
+  const waveformTrackEl = document.getElementById("waveform-track");
+
+  waveformTrackEl.innerHTML = "";
+  if (!data.audio) return;
+
+  const frames = new Map(
+    data.audio.frames.map((frame) => [frame.frameNumber, frame]),
+  );
+  data.captures.forEach((capture, index) => {
+    const canvasEl = document.createElement("canvas");
+    canvasEl.width = 80;
+    canvasEl.height = WAVEFORM_HEIGHT;
+    const frame = frames.get(capture.frameNumber);
+    if (frame) {
+      const ctx = canvasEl.getContext("2d");
+      const columnWidth = canvasEl.width / frame.min.length;
+      const middle = WAVEFORM_HEIGHT / 2;
+      ctx.fillStyle = "#4fc3f7";
+      frame.min.forEach((min, column) => {
+        const top = middle - frame.max[column] * middle;
+        const height = Math.max(1, (frame.max[column] - min) * middle);
+        ctx.fillRect(column * columnWidth, top, columnWidth, height);
+      });
+      canvasEl.title = `Frame ${capture.frameNumber}: peak ${Math.round(frame.peak * 100)}%`;
+    }
+    canvasEl.addEventListener("click", () => setFrame(index));
+    waveformTrackEl.appendChild(canvasEl);
+  });
+}
+
 /**
  * Render the viewer with speedscope data
  */
@@ -301,6 +464,7 @@ export function renderViewer(data) {
   const { signal } = viewerAbortController;
 
   speedscopeData = data;
+  sourceLinesBySymbol = groupSourceLines(data.lines);
 
   const timelineEl = document.getElementById("timeline");
   const flamegraphSizeEl = document.getElementById("flame-graph-size");
@@ -330,6 +494,9 @@ export function renderViewer(data) {
     i++;
   }
 
+  renderPacing(data);
+  renderWaveform(data);
+
   // Setup keyboard navigation
   document.addEventListener(
     "keydown",